@@ -1,13 +1,17 @@
 "use strict";
 import HomeComponent from "./components/HomeComponent.js";
 import NotFoundComponent from "./components/NotFoundComponent.js";
-import ContactComponent from "./components/ContactComponent.js";
-import AboutComponent from "./components/AboutComponent.js";
 import HeroTeaserComponent from "./components/HeroTeaserComponent.js";
-import TodoComponent from "./components/TodoComponent.js";
+import LoadingComponent from "./components/LoadingComponent.js";
+import LoadErrorComponent from "./components/LoadErrorComponent.js";
 
 import KWM_Route from "./core/kwm-route.js";
 import KWM_Router from "./core/kwm-router.js";
+import "./core/kwm-nav.js";
+
+// Pages are loaded lazily on the first navigation to their route.
+// The nested todo routes share one loader -> one list instance, the 'filter' prop changes with the route
+const loadTodoList = () => import("./components/TodoListComponent.js");
 
 const myRouter = new KWM_Router({
   container: document.getElementById("kwmJS"),
@@ -16,35 +20,76 @@ const myRouter = new KWM_Router({
       slug: "/",
       name: "Home",
       component: new HomeComponent(),
+      meta: { title: "Home", description: "Welcome to the kwmJS demo application" },
+      showInNav: true,
     }),
     new KWM_Route({
       slug: "/about",
       name: "About",
-      component: new AboutComponent(),
+      component: () => import("./components/AboutComponent.js"),
+      meta: { description: "About the best study course in the world" },
+      showInNav: true,
     }),
     new KWM_Route({
       slug: "/todo",
       name: "Todo",
-      component: new TodoComponent(),
+      component: () => import("./components/TodoComponent.js"),
+      meta: { title: "Todos", description: "Manage your personal todos" },
+      showInNav: true,
+      children: [
+        new KWM_Route({
+          slug: "",
+          name: "All",
+          component: loadTodoList,
+          props: { filter: "all" },
+          showInNav: true,
+        }),
+        new KWM_Route({
+          slug: "active",
+          name: "Open",
+          component: loadTodoList,
+          props: { filter: "active" },
+          showInNav: true,
+        }),
+        new KWM_Route({
+          slug: "done",
+          name: "Done",
+          component: loadTodoList,
+          props: { filter: "done" },
+          showInNav: true,
+        }),
+      ],
+    }),
+    new KWM_Route({
+      slug: "/todo/:id",
+      name: "Todo Detail",
+      component: () => import("./components/TodoDetailComponent.js"),
+      meta: { title: ({ id }) => `Todo ${id}` },
     }),
     new KWM_Route({
       slug: "/contact",
       name: "Contact",
-      component: new ContactComponent(),
+      component: () => import("./components/ContactComponent.js"),
+      meta: { description: "Contact us and become part of the team" },
+      showInNav: true,
       // (Bonus) make sure if the user is allowed to see the component - when not - redirect to 404
-      canRender: () =>
-          confirm("🛡️ Security check: Everything ok?")
-              ? true
-              : KWM_Router.redirect("/404"),
+      // guards may also return a promise (e.g. an async auth check)
+      beforeEnter: () =>
+          confirm("🛡️ Security check: Everything ok?") ? true : "/404",
     }),
     new KWM_Route({
       slug: "/404",
       name: "Not Found",
       component: new NotFoundComponent(),
+      meta: { title: "Page not found" },
     }),
   ],
   slugHome: "/",
   slugNotFound: "/404",
+  loadingComponent: new LoadingComponent(),
+  errorComponent: new LoadErrorComponent(),
+  mode: "hash", // "history" for clean URLs like '/todo' (the server has to answer all paths with the index.html)
+  base: "/",
 });
 
 myRouter.init();
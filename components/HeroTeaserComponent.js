@@ -2,18 +2,96 @@
 
 import KWM_Component from "../core/kwm-component.js";
 
+/**
+ * Reusable teaser - configured by its attributes e.g. <hero-teaser-component heading="..." btn-text="..."></hero-teaser-component>
+ * Changes of the attributes re-render the teaser.
+ * Rendered into a shadow root -> its styles do not leak into the rest of the app.
+ * Markup inside of the tag replaces the text, an element with slot="actions" replaces the button.
+ **/
 export default class HeroTeaserComponent extends KWM_Component {
+  static props = {
+    heading: { type: String, default: "Hero Teaser Heading" },
+    text: { type: String, default: "Hero Teaser Text - I am very reusable" },
+    backgroundImage: { type: String, default: "https://source.unsplash.com/random/1920x1080" },
+    link: { type: String, default: "#/" },
+    btnText: { type: String, default: "Explore" },
+  };
+
+  static shadow = true;
+
+  static styles = /*css*/ `
+    :host {
+      display: block;
+    }
+
+    .hero-teaser {
+      position: relative;
+      width: 100%;
+      height: 512px; /* Adjust height as needed */
+      background-size: cover;
+      background-position: center;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    }
+
+    .content {
+      text-align: center;
+      color: var(--kwmjs-white);
+      z-index: 1;
+      background-color: rgba(0, 0, 0, 0.7);
+      margin: 0 50px;
+      padding: 20px;
+    }
+
+    h1 {
+      font-size: 3rem;
+      margin-bottom: 20px;
+    }
+
+    p,
+    ::slotted(p) {
+      font-size: 1.2rem;
+      margin-bottom: 20px;
+    }
+
+    .cta,
+    ::slotted(.cta) {
+      display: inline-block;
+      padding: 10px 20px;
+      background-color: var(--kwmjs-accent);
+      color: var(--kwmjs-white);
+      text-decoration: none;
+      border-radius: 5px;
+    }
+
+    /* Media Query for smaller screens */
+    @media (max-width: 768px) {
+      h1 {
+        font-size: 2.5rem;
+      }
+
+      p {
+        font-size: 1rem;
+      }
+    }
+  `;
+
   constructor() {
     super();
   }
 
   template() {
+    const { heading, text, backgroundImage, link, btnText } = this.props;
+
     return /*html*/ `
-            <section class="hero-teaser" style="background-image: url(${this.getAttribute("background-image") ?? "https://source.unsplash.com/random/1920x1080"})">
+            <section class="hero-teaser" style="background-image: url(${backgroundImage.value})">
                 <div class="content">
-                    <h1>${this.getAttribute("heading") ?? "Hero Teaser Heading"}</h1>
-                    <p>${this.getAttribute("text") ?? "Hero Teaser Text - I am very reusable"}</p>
-                    <p><a class="cta" href="${this.getAttribute("link") ?? "#/"}">${this.getAttribute("btn-text") ?? "Explore"}</a></p>
+                    <h1>${heading.value}</h1>
+                    <kwm-slot><p>${text.value}</p></kwm-slot>
+                    <p>
+                        <kwm-slot name="actions"><a class="cta" href="${link.value}">${btnText.value}</a></kwm-slot>
+                    </p>
                 </div>
             </section>
         `;
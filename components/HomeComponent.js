@@ -51,8 +51,9 @@ export default class HomeComponent extends KWM_Component {
             <hero-teaser-component></hero-teaser-component>
             <hero-teaser-component 
                 background-image="https://source.unsplash.com/random/1920x1080?toast,coffee"
-                text="I am a custom value for the Hero-Text"
                 heading="Wanna have it?">
+                <p>I am <strong>custom markup</strong> for the Hero-Text</p>
+                <a slot="actions" class="cta" href="#/todo">Go to the Todos</a>
             </hero-teaser-component>
 
             ${this.heroList
@@ -0,0 +1,28 @@
+"use strict";
+
+import KWM_Component from "../core/kwm-component.js";
+import KWM_Observable from "../core/kwm-observable.js";
+
+/**
+ * Rendered by the router when the component of a lazy route could not be loaded.
+ * The router passes the error in as 'error' prop.
+ **/
+export default class LoadErrorComponent extends KWM_Component {
+  constructor() {
+    super();
+    this.text = "💥 Ooops! This page could not be loaded";
+    this.props.error = new KWM_Observable(null);
+  }
+
+  template() {
+    return /*html*/ `
+        <section id="main_content">
+            <h1>${this.text}</h1>
+            <p>${this.props.error.value?.message ?? ""}</p>
+            <p><a href="#/">Back to Home</a></p>
+        </section>
+        `;
+  }
+}
+
+customElements.define("load-error-component", LoadErrorComponent);
@@ -0,0 +1,23 @@
+"use strict";
+
+import KWM_Component from "../core/kwm-component.js";
+
+/**
+ * Rendered by the router while the component of a lazy route is loaded.
+ **/
+export default class LoadingComponent extends KWM_Component {
+  constructor() {
+    super();
+    this.text = "⏳ Loading...";
+  }
+
+  template() {
+    return /*html*/ `
+        <section id="main_content" aria-busy="true">
+            <p>${this.text}</p>
+        </section>
+        `;
+  }
+}
+
+customElements.define("loading-component", LoadingComponent);
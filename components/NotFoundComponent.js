@@ -3,6 +3,15 @@
 import KWM_Component from "../core/kwm-component.js";
 
 export default class NotFoundComponent extends KWM_Component {
+  // Styles only match the elements of this component (kwm-scope attribute)
+  static scoped = true;
+
+  static styles = /*css*/ `
+    .not-found {
+      max-height: calc(100vh - 300px);
+    }
+  `;
+
   constructor() {
     super();
 
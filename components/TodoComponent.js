@@ -1,9 +1,13 @@
 "use strict";
 import KWM_Component from '../core/kwm-component.js';
-import KWM_Computed from '../core/kwm-computed.js';
 import KWM_Observable from '../core/kwm-observable.js';
 import { todoModelInstance } from '../models/TodoModel.js';
 
+/**
+ * Layout of the todo pages - the lists of the nested routes ('/todo', '/todo/active', '/todo/done')
+ * are rendered into the <kwm-outlet> by the router.
+ * Changes of the todos can be undone with Ctrl+Z and redone with Ctrl+Y / Ctrl+Shift+Z (or the buttons).
+ **/
 export default class TodoComponent extends KWM_Component {
     constructor() {
         super();
@@ -11,46 +15,56 @@ export default class TodoComponent extends KWM_Component {
         this.todos = todoModelInstance.todos;
         this.newTodoText = new KWM_Observable('');
 
-        this.openTodos = new KWM_Computed(() => {
-            return this.todos.value.filter(todo => !todo.completed);
-        }, [this.todos]);
+        this.openTodos = todoModelInstance.store.selectors.openTodos;
 
-        this.todos.subscribe(() => this.render());
+        this.canUndo = todoModelInstance.store.canUndo;
+        this.canRedo = todoModelInstance.store.canRedo;
+        this.listen(document, 'keydown', event => this.onKeydown(event));
     }
 
-    addTodo() {
-        if (this.newTodoText.value.trim() !== '') {
-            todoModelInstance.addTodo(this.newTodoText.value);
+    onKeydown(event) {
+        // Text fields keep their own undo
+        if (!(event.ctrlKey || event.metaKey) || event.target.matches?.('input:not([type="checkbox"]), textarea, [contenteditable]')) {
+            return;
         }
-        this.newTodoText.value = '';
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    undo() {
+        todoModelInstance.undo();
     }
 
-    removeTodo(todoId) {
-        todoModelInstance.removeTodo(todoId);
+    redo() {
+        todoModelInstance.redo();
     }
 
-    toggleTodo(todoId) {
-        todoModelInstance.toggleTodo(todoId);
+    addTodo() {
+        if (this.newTodoText.value.trim() !== '') {
+            todoModelInstance.addTodo(this.newTodoText.value);
+        }
+        this.newTodoText.value = '';
     }
 
     template() {
         return `
             <div>
                 <h2>Todo List</h2>
-                <input kwm-model-value="this.newTodoText" />
+                <input kwm-model-value="this.newTodoText" kwm-listen-keyup.enter="this.addTodo()" />
                 <button kwm-listen-click="this.addTodo()">Add Todo</button>
+                <button kwm-listen-click="this.undo()" kwm-bind-disabled="!this.canUndo.value" title="Undo (Ctrl+Z)">Undo</button>
+                <button kwm-listen-click="this.redo()" kwm-bind-disabled="!this.canRedo.value" title="Redo (Ctrl+Y)">Redo</button>
 
-                <h3>Open Todos</h3>
-                <ul>
-                    ${this.openTodos.value.map(todo => `
-                        <li>
-                            <input kwm-listen-click="this.toggleTodo(${todo.id})" type="checkbox" ${todo.completed ? 'checked' : '' } />
-                            <span>${todo.text}</span>
-                            <button kwm-listen-click="this.removeTodo(${todo.id})">Remove</button>
-                        </li>
-                    `).join('')}
-                </ul>
+                <p>Open: <span kwm-bind-text="this.openTodos.value.length"></span></p>
+                <kwm-nav parent="/todo"></kwm-nav>
 
+                <kwm-outlet></kwm-outlet>
             </div>
         `;
     }
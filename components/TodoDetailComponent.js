@@ -0,0 +1,53 @@
+"use strict";
+import KWM_Component from '../core/kwm-component.js';
+import { todoModelInstance } from '../models/TodoModel.js';
+
+/**
+ * Detail page of a single todo - rendered for the route pattern '/todo/:id'.
+ * The router passes the 'id' param into the component as observable prop (converted to a Number).
+ **/
+export default class TodoDetailComponent extends KWM_Component {
+    static props = {
+        id: { type: Number, required: true },
+    };
+
+    constructor() {
+        super();
+
+        // Re-render when another todo is shown or it was removed - changes of the todo itself are bound
+        this.todo = this.computed(() => todoModelInstance.getTodo(this.props.id.value) ?? null);
+        this.registerRenderDependencies([this.todo]);
+    }
+
+    toggleTodo(todoId) {
+        todoModelInstance.toggleTodo(todoId);
+    }
+
+    template() {
+        const todo = this.todo.value;
+
+        if (!todo) {
+            return `
+                <section id="main_content">
+                    <h1>Todo not found</h1>
+                    <p>There is no todo with the id "<span kwm-bind-text="this.props.id.value"></span>".</p>
+                    <p><a href="#/todo">Back to the Todo List</a></p>
+                </section>
+            `;
+        }
+
+        return `
+            <section id="main_content">
+                <h1 kwm-bind-text="this.todo.value?.text"></h1>
+                <label>
+                    <input kwm-listen-click="this.toggleTodo(this.todo.value.id)" type="checkbox" kwm-bind-checked="this.todo.value?.completed" />
+                    <span kwm-bind-text="this.todo.value?.completed ? 'Completed' : 'Open'"></span>
+                </label>
+                <p>Created: ${new Date(todo.id).toLocaleString()}</p>
+                <p><a href="#/todo">Back to the Todo List</a></p>
+            </section>
+        `;
+    }
+}
+
+customElements.define('todo-detail-component', TodoDetailComponent);
@@ -0,0 +1,60 @@
+"use strict";
+import KWM_Component from '../core/kwm-component.js';
+import KWM_Observable from '../core/kwm-observable.js';
+import KWM_Router from '../core/kwm-router.js';
+import { todoModelInstance } from '../models/TodoModel.js';
+
+/**
+ * List of todos - rendered into the outlet of the TodoComponent.
+ * The 'filter' prop ('all' | 'active' | 'done') is passed in by the nested routes.
+ * The search term is synced with the '?search=' query parameter -> shareable by link and survives reloads.
+ * The list items are rendered with kwm-for -> changes of the todos only touch the affected <li> elements.
+ **/
+export default class TodoListComponent extends KWM_Component {
+    static props = {
+        filter: { type: String, default: 'all', validator: filter => ['all', 'active', 'done'].includes(filter) },
+    };
+
+    constructor() {
+        super();
+
+        this.search = new KWM_Observable('');
+
+        // Only synced while the list is mounted
+        this.track(() => KWM_Router.current.value?.bindQueryParam('search', this.search));
+
+        this.filteredTodos = this.computed(() => {
+            const search = this.search.value.trim().toLowerCase();
+            const todos = todoModelInstance.todos.filter(todo => todo.text.toLowerCase().includes(search));
+            switch (this.props.filter.value) {
+                case 'active': return todos.filter(todo => !todo.completed);
+                case 'done': return todos.filter(todo => todo.completed);
+                default: return todos;
+            }
+        });
+    }
+
+    removeTodo(todoId) {
+        todoModelInstance.removeTodo(todoId);
+    }
+
+    toggleTodo(todoId) {
+        todoModelInstance.toggleTodo(todoId);
+    }
+
+    template() {
+        return `
+            <input id="todo-search" type="search" placeholder="Search..." kwm-model-value.debounce(200)="this.search" />
+            <p kwm-if="this.filteredTodos.value.length === 0">No todos found.</p>
+            <ul kwm-else>
+                <li kwm-for="todo of this.filteredTodos" kwm-key="todo.id" class="todo" kwm-bind-class="{ completed: todo.completed }">
+                    <input kwm-listen-click="this.toggleTodo(todo.id)" type="checkbox" kwm-bind-checked="todo.completed" />
+                    <a kwm-bind-href="'#/todo/' + todo.id" kwm-bind-text="todo.text"></a>
+                    <button kwm-listen-click="this.removeTodo(todo.id)">Remove</button>
+                </li>
+            </ul>
+        `;
+    }
+}
+
+customElements.define('todo-list-component', TodoListComponent);
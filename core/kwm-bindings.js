@@ -2,14 +2,21 @@
 import KWM_Observable from "./kwm-observable.js";
 import KWM_Computed from "./kwm-computed.js";
 import KWM_Component from "./kwm-component.js";
+import KWM_Expression from "./kwm-expression.js";
+import KWM_Reactive from "./kwm-reactive.js";
 
 /**
  * KWM Bindings
  *
  * enables declarative uni- and bidirectional data-binding of attributes of HtmlElements to Observables
+ * Expressions are evaluated by KWM_Expression (no `new Function`) -> works with a strict Content-Security-Policy
  *
  * @example new KWM_Bindings({lastName: new KWM_Observable('Osterberger')}, inputElement) 
  * // in template <input :value="lastName" /> binds the HtmlElement Attribute 'value' to the observable
+ * @example <li kwm-for="todo of this.openTodos" kwm-key="todo.id" :text="todo.text"></li>
+ * // keyed list rendering - only the DOM nodes of added, removed or moved items are touched
+ * @example <p kwm-if="this.todos.value.length === 0">No todos</p><template kwm-else><ul>...</ul></template>
+ * // conditional rendering - only the active branch is in the DOM and bound
  *
  * @author Jakob Osterberger - 2025
  * @reference inspired by https://blog.jeremylikness.com/blog/client-side-javascript-databinding-without-a-framework/,
@@ -21,29 +28,45 @@ export default class KWM_Bindings {
     /**
      * 
      * @param {KWM_Component|object} data - Give me an object containing Observables with their keys corresponding to your data-bind properties (e.g. KWM_Component)
-     * @param {KWM_Component|HTMLElement} uiElement - Give me the uiElement element where to apply the bindings (e.g. KWM_Component)
+     * @param {KWM_Component|HTMLElement|ShadowRoot} uiElement - Give me the uiElement element where to apply the bindings (e.g. KWM_Component or its shadow root)
+     * @param {object} scope - (optional) Local variables available in the expressions (e.g. the item of a kwm-for list)
      */
-    constructor(data, uiElement = null) {
+    constructor(data, uiElement = null, scope = {}) {
         this.component = data;                          // The State / Data / Object containing Observables ~ a KWM_Component
         this.uiElement = uiElement ?? this.component;   // The UI / View / HTMLElement ~ a KWM_Component
+        this.scope = scope;                             // Local variables of the expressions
         this.subscriptions = new Set();                 // Set of all subscriptions
+        this.regions = new Set();                       // Structural regions (kwm-for / kwm-if) - can be kept across re-renders
 
         // Pattern: :attributeName="variableName" / bind-attributeName="this.variableName" 
         this.valueBindRegex = /\s((\:|bind-|kwm-bind-)(\w+))=\"([^\"]+)\"/g;
         // Pattern: @listenerType="listenerFunctionName" / on-listenerType="this.listenerFunctionName(event)"
-        this.listenerBindRegex = /\s((\@|on-|kwm-listen-)(\w+))=\"([^\"]+)\"/g;
+        // with modifiers: @keyup.enter="this.addTodo()" / kwm-listen-submit.prevent="this.save()" / @todo-removed="..."
+        this.listenerBindRegex = /\s((\@|on-|kwm-listen-)([\w-]+)((?:\.[\w-]+)*))=\"([^\"]+)\"/g;
         // Pattern: $attributeName="variableName" / model-attributeName="this.variableName"
-        this.modelBindRegex = /\s((\$|model-|kwm-model-)(\w+))=\"([^\"]+)\"/g;
+        // with modifiers: $value.trim="this.name" / kwm-model-value.number.debounce(300)="this.amount"
+        this.modelBindRegex = /\s((\$|model-|kwm-model-)(\w+)((?:\.[\w-]+(?:\(\d+\))?)*))=\"([^\"]+)\"/g;
         // Pattern: #ref="variableName" / ref="this.variableName"
         this.refBindRegex = /\s(\#?ref|kwm-ref)=\"([^\"]+)\"/g;
-        // Pattern ?if="variableName.value" / if="this.variableName.value" / show-if="this.variableName.value"
-        this.showIfBindRegex = /\s(\??if|kwm-if|show-if)=\"([^\"]+)\"/g;
+        // Pattern ?if="variableName.value" / if="this.variableName.value" / show-if / kwm-show="this.variableName.value"
+        // only toggles the display style - for conditional rendering see kwm-if / kwm-else-if / kwm-else
+        this.showIfBindRegex = /\s(\??if|show-if|kwm-show)=\"([^\"]+)\"/g;
+        // Pattern: kwm-for="item of this.observableArray" / kwm-for="(item, index) of this.observableArray"
+        this.forBindRegex = /^\s*(?:\(\s*(\w+)\s*(?:,\s*(\w+)\s*)?\)|(\w+))\s+(?:of|in)\s+(.+)$/;
     }
 
     /**
      * Applies bindings of it's KWM_Component
      */
     bind() {
+        // Regions that were kept by the DOM morphing of the component stay bound, removed ones are disposed
+        this.regions.forEach(region => {
+            if (!this.uiElement.contains(region.startAnchor)) {
+                region.unbind();
+                this.regions.delete(region);
+            }
+        });
+
         // Unsubscribe and clear all old subscriptions -> not do cause memory leaks
         this.subscriptions.forEach(unsubscribe => unsubscribe ? unsubscribe() : null);
         this.subscriptions.clear();
@@ -52,22 +75,127 @@ export default class KWM_Bindings {
         this.applyBindings(this.uiElement);
     }
 
+    /**
+     * Removes all bindings
+     */
+    unbind() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe ? unsubscribe() : null);
+        this.subscriptions.clear();
+        this.regions.forEach(region => region.unbind());
+        this.regions.clear();
+    }
+
+    /**
+     * Evaluates a js expression in the context of the component (this) and the local scope
+     * @param {string} jsCodeExpr
+     * @returns {any}
+     */
+    evaluate(jsCodeExpr) {
+        return KWM_Expression.parse(jsCodeExpr).evaluate(this.component, this.scope);
+    }
+
+    /**
+     * Parses the expression of a binding - logs parse errors (with the position in the expression)
+     * @param {string} binding - the whole binding e.g. ':value="this.name"'
+     * @param {string} jsCodeExpr
+     * @returns {KWM_Expression|null}
+     */
+    parseExpression(binding, jsCodeExpr) {
+        try {
+            return KWM_Expression.parse(jsCodeExpr);
+        } catch (error) {
+            console.error(`Bindings Error: ${binding} in "${this.component.constructor.name}" - ${error.message}`, this.component);
+            return null;
+        }
+    }
+
+    /**
+     * Get the data of an expression: the observable it references (e.g. "this.todos"), a computed tracking the observables
+     * the expression reads (e.g. "this.todos.value.length") or the value of an expression that reads no observable
+     * @param {KWM_Expression} expression
+     * @param {Set<function>} disposeFns - the dispose function of a created computed is added
+     * @returns {KWM_Observable|any}
+     */
+    resolveExpressionData(expression, disposeFns) {
+        const matchedObservable = expression.getObservable(this.component, this.scope);
+        if (matchedObservable) {
+            return matchedObservable;
+        }
+
+        const computed = new KWM_Computed(() => expression.evaluate(this.component, this.scope));
+        const value = computed.value; // evaluated once -> its dependencies are known
+        if (value instanceof KWM_Observable || !computed.hasDependencies) {
+            computed.dispose();
+            return value;
+        }
+        disposeFns.add(() => computed.dispose()); // release the dependencies of the computed expression
+        return computed;
+    }
+
+    /**
+     * Get the observable of a two-way binding - an observable or a property of a reactive object (e.g. "this.form.name")
+     * @param {KWM_Expression|null} expression
+     * @returns {KWM_Observable|null}
+     */
+    getModelObservable(expression) {
+        const observable = expression?.getObservable(this.component, this.scope);
+        if (observable || !expression) {
+            return observable ?? null;
+        }
+        const reference = expression.getReference(this.component, this.scope);
+        if (!reference || !KWM_Reactive.isReactive(reference.object)) {
+            return null;
+        }
+        const propertyRef = KWM_Reactive.toRef(reference.object, reference.key);
+        this.subscriptions.add(() => propertyRef.dispose());
+        return propertyRef;
+    }
+
+    /**
+     * Query all elements of the uiElement matching a selector.
+     * Elements that are not the component itself (e.g. items of a kwm-for list) can match themselves.
+     * Elements of rendered list items and conditional branches are skipped - they are bound by their own bindings.
+     * Content projected into the slots of the component is skipped - it is bound by the component that passed it in.
+     * @param {HTMLElement|KWM_Component} uiElement
+     * @param {string} selector
+     * @returns {HTMLElement[]}
+     */
+    queryElements(uiElement, selector) {
+        const elems = [...uiElement.querySelectorAll(selector)].filter(elem => {
+            for (let node = elem; node && node !== uiElement; node = node.parentNode) {
+                if (node._kwmListItem || node._kwmBranch) return false;
+                if (node._kwmProjected && node._kwmSlotOwner === this.component && node !== elem) return false;
+            }
+            return true;
+        });
+        if (uiElement !== this.component && uiElement.matches?.(selector)) {
+            elems.unshift(uiElement);
+        }
+        return elems;
+    }
+
     /**
      * Evaluates and applies bindings of a uiElement.
      * ⚠️ Needs to run AFTER the template / component was rendered, because it looks for the component in the DOM!
      * @param {HTMLElement|KWM_Component} uiElement
      */
     applyBindings(uiElement) {
-        const uiElementHtmlString = '_templateCache' in uiElement ? uiElement._templateCache : uiElement.innerHTML;
+        // Lists & conditionals first -> their templates are taken out of the DOM and bound per item / mounted branch
+        this.applyStructuralBindings(uiElement);
+
+        const uiElementHtmlString = '_templateCache' in uiElement ? uiElement._templateCache :
+            uiElement instanceof ShadowRoot ? uiElement.host._templateCache ?? uiElement.innerHTML :
+            uiElement === this.component ? uiElement.innerHTML : uiElement.outerHTML;
 
         // Bind HTML element attributes & component properties (1-way-data-binding)
         for (let [x, selector, y, attributeName, jsCodeExpr] of uiElementHtmlString.matchAll(this.valueBindRegex)) {
-            uiElement.querySelectorAll(`[${selector.includes(':') ? '\\' : ''}${selector}="${jsCodeExpr}"]`).forEach(elem => {
-                const valueFn = () => new Function('return ' + jsCodeExpr).apply(this.component);
+            this.queryElements(uiElement, `[${selector.includes(':') ? '\\' : ''}${selector}="${jsCodeExpr}"]`).forEach(elem => {
+                const expression = this.parseExpression(x, jsCodeExpr);
+                if (!expression) {
+                    return;
+                }
                 const variableName = jsCodeExpr.trim().replace('this.', '');
-                const matchedObservable = this.component[variableName];
-                const dependencies = KWM_Bindings.getDependentObservablesFromJsExpression(jsCodeExpr, this.component);
-                const data = matchedObservable ?? (dependencies?.length > 0 ? new KWM_Computed(valueFn, dependencies) : valueFn());
+                const data = this.resolveExpressionData(expression, this.subscriptions);
 
                 if (elem.matches('[kwm-debug]')) {
                     console.log(`[Bindings Debug]: ${x} 
@@ -77,8 +205,9 @@ export default class KWM_Bindings {
                         `, this.component, data);
                 }
 
-                if (elem instanceof KWM_Component && elem.props && attributeName in elem.props) {
-                    this.subscriptions.add(KWM_Bindings.bindProperty(elem, data, attributeName));
+                const propName = elem instanceof KWM_Component ? elem.resolvePropName(attributeName) : undefined;
+                if (propName !== undefined) {
+                    this.subscriptions.add(KWM_Bindings.bindProperty(elem, data, propName));
                 } else {
                     this.subscriptions.add(KWM_Bindings.bindAttribute(elem, data, attributeName));
                 } 
@@ -90,12 +219,13 @@ export default class KWM_Bindings {
         }
 
         // Bind Listeners
-        for (let [x, selector, y, listenerType, jsCodeExpr] of uiElementHtmlString.matchAll(this.listenerBindRegex)) {
-            uiElement.querySelectorAll(`[${selector.includes('@') ? '\\' : ''}${selector}="${jsCodeExpr}"]`).forEach(elem => {
+        for (let [x, selector, y, listenerType, modifiers, jsCodeExpr] of uiElementHtmlString.matchAll(this.listenerBindRegex)) {
+            this.queryElements(uiElement, `[${selector.replace(/([@.])/g, '\\$1')}="${jsCodeExpr}"]`).forEach(elem => {
                 const listenerFunctionName = jsCodeExpr.trim().replace('this.', '');
+                const expression = listenerFunctionName in this.component ? null : this.parseExpression(x, jsCodeExpr);
                 const listenerFunction = listenerFunctionName in this.component ? 
                     this.component[listenerFunctionName].bind(this.component) : 
-                    (event) => new Function(jsCodeExpr).apply(this.component, [event]);
+                    expression ? (event) => expression.evaluate(this.component, { ...this.scope, event }) : undefined;
 
                 if (elem.matches('[kwm-debug]')) {
                     console.log(`[Bindings Debug]: ${x} 
@@ -105,24 +235,24 @@ export default class KWM_Bindings {
                 }
 
                 if (listenerFunction !== undefined) {
-                    KWM_Bindings.bindSingleEventListener(elem, listenerType, listenerFunction);
+                    this.subscriptions.add(KWM_Bindings.bindEventListener(elem, listenerType, listenerFunction, modifiers.split('.').filter(Boolean)));
                 } else console.error(`Bindings Error: ${x} - Listener Function "${jsCodeExpr}" does not exist in "${this.component.constructor.name}" or expression is invalid`, this.component);
             })
         }
 
         // 2-way Data binding
-        for (let [x, selector, y, attrName, observableName] of uiElementHtmlString.matchAll(this.modelBindRegex)) {
-            uiElement.querySelectorAll(`[${selector.includes('$') ? '\\' : ''}${selector}="${observableName}"]`).forEach(elem => {
-                const observable = this.component[observableName.trim().replace('this.', '')];
-                if (observable !== undefined) {
-                    this.subscriptions.add(KWM_Bindings.modelAttribute(elem, observable, attrName));
+        for (let [x, selector, y, attrName, modifiers, observableName] of uiElementHtmlString.matchAll(this.modelBindRegex)) {
+            this.queryElements(uiElement, `[${selector.replace(/([$.()])/g, '\\$1')}="${observableName}"]`).forEach(elem => {
+                const observable = this.getModelObservable(this.parseExpression(x, observableName));
+                if (observable) {
+                    this.subscriptions.add(KWM_Bindings.modelAttribute(elem, observable, attrName, modifiers.split('.').filter(Boolean)));
                 } else console.error(`Bindings Error: ${x} - Observable "${observableName}" does not exist in "${this.component.constructor.name}"`, this.component);
             })
         }
 
         // Element Reference binding
         for (let [x, selector, variableName] of uiElementHtmlString.matchAll(this.refBindRegex)) {
-            uiElement.querySelectorAll(`[${selector.includes('#') ? '\\' : ''}${selector}="${variableName}"]`).forEach(elem => {
+            this.queryElements(uiElement, `[${selector.includes('#') ? '\\' : ''}${selector}="${variableName}"]`).forEach(elem => {
                 if (variableName.trim().replace('this.', '') in this.component) {
                     KWM_Bindings.bindElementReference(elem, variableName.trim().replace('this.', ''), this.component);
                 } else console.error(`Bindings Error: ${x} - Property variable "${variableName}" does not exist ${this.component.constructor.name}`, this.component);
@@ -131,12 +261,13 @@ export default class KWM_Bindings {
         
         // Show If Binding
         for (let [x, selector, jsCodeExpr] of uiElementHtmlString.matchAll(this.showIfBindRegex)) {
-            uiElement.querySelectorAll(`[${selector.includes('?') ? '\\' : ''}${selector}="${jsCodeExpr}"]`).forEach(elem => {
-                const valueFn = () => new Function('return ' + jsCodeExpr).apply(this.component);
+            this.queryElements(uiElement, `[${selector.includes('?') ? '\\' : ''}${selector}="${jsCodeExpr}"]`).forEach(elem => {
+                const expression = this.parseExpression(x, jsCodeExpr);
+                if (!expression) {
+                    return;
+                }
                 const variableName = jsCodeExpr.trim().replace('this.', '');
-                const matchedObservable = this.component[variableName];
-                const dependencies = KWM_Bindings.getDependentObservablesFromJsExpression(jsCodeExpr, this.component);
-                const data = matchedObservable ?? (dependencies?.length > 0 ? new KWM_Computed(valueFn, dependencies) : valueFn());
+                const data = this.resolveExpressionData(expression, this.subscriptions);
 
                 if (elem.matches('[kwm-debug]')) {
                     console.log(`[Bindings Debug]: ${x} 
@@ -156,57 +287,565 @@ export default class KWM_Bindings {
     }
 
     /**
-     * Get tokens from a js expression
-     * @param {string} jsExpression 
+     * Binds the structural directives (kwm-for, kwm-if) of a uiElement - outer ones first.
+     * Nested ones are taken out of the DOM with their parent and bound per list item / mounted branch.
+     * ⚠️ kwm-if has a higher priority than kwm-for on the same element (the whole list is rendered conditionally)
+     * @param {HTMLElement|KWM_Component} uiElement
+     */
+    applyStructuralBindings(uiElement) {
+        this.queryElements(uiElement, '[kwm-for], [kwm-if]').forEach(elem => {
+            if (!uiElement.contains(elem)) {
+                return;
+            }
+            if (elem.hasAttribute('kwm-if')) {
+                this.applyConditionalBindings(elem);
+            } else {
+                this.applyListBindings(elem);
+            }
+        });
+    }
+
+    /**
+     * Keyed list rendering - binds an element with a kwm-for attribute to an (observable) array.
+     * The element is the template for every item, kwm-key identifies the items between updates.
+     * ⚠️ Items are compared by identity: an item that was replaced by a new object (same key) gets a new DOM node
+     * @param {HTMLElement} templateElem
+     */
+    applyListBindings(templateElem) {
+        const forExpr = templateElem.getAttribute('kwm-for');
+        const match = forExpr.match(this.forBindRegex);
+        if (!match) {
+            console.error(`Bindings Error: kwm-for="${forExpr}" - expression needs to look like "item of this.items" or "(item, index) of this.items" in "${this.component.constructor.name}"`, this.component);
+            return;
+        }
+        const [, itemNameInParens, indexName, itemName, listExpr] = match;
+        const keyExpr = templateElem.getAttribute('kwm-key');
+
+        const disposeFns = new Set();
+        let data;
+        try {
+            data = this.resolveExpressionData(KWM_Expression.parse(listExpr), disposeFns);
+        } catch (error) {
+            console.error(`Bindings Error: kwm-for="${forExpr}" - expression "${listExpr}" is invalid in "${this.component.constructor.name}"`, error);
+            return;
+        }
+
+        // Replace the template element with two anchors - the items are rendered in between
+        const templateHtml = KWM_Bindings.getTemplateHtml([templateElem]);
+        const startAnchor = document.createComment(` kwm-for: ${forExpr} `);
+        const endAnchor = document.createComment(' /kwm-for ');
+        templateElem.replaceWith(startAnchor, endAnchor);
+        templateElem.removeAttribute('kwm-for');
+        templateElem.removeAttribute('kwm-key');
+
+        const unbind = KWM_Bindings.bindList(startAnchor, endAnchor, data, (item, index) => {
+            const scope = { ...this.scope, [itemNameInParens ?? itemName]: item };
+            if (indexName) {
+                scope[indexName] = index;
+            }
+            return scope;
+        }, keyExpr, templateElem, this.component);
+        this.addRegion(startAnchor, endAnchor, templateHtml, data instanceof KWM_Observable, () => {
+            unbind();
+            disposeFns.forEach(dispose => dispose());
+        });
+    }
+
+    /**
+     * Conditional rendering - binds a kwm-if element and its kwm-else-if / kwm-else siblings.
+     * Only the first branch with a truthy condition is in the DOM. A branch gets its own bindings when it is mounted
+     * and they are disposed when it is unmounted (child components are disconnected).
+     * The branch is the element itself or the content of a <template> element (e.g. to render multiple elements).
+     * @example <p kwm-if="this.status.value === 'loading'">Loading...</p>
+     * <template kwm-else-if="this.status.value === 'error'"><h2>Error</h2><p :text="this.error.value"></p></template>
+     * <todo-list-component kwm-else></todo-list-component>
+     * @param {HTMLElement} ifElem
+     */
+    applyConditionalBindings(ifElem) {
+        const chain = KWM_Bindings.getConditionalChain(ifElem);
+        const branches = chain.map(elem => {
+            const directive = ['kwm-if', 'kwm-else-if', 'kwm-else'].find(attribute => elem.hasAttribute(attribute));
+            const jsCodeExpr = elem.getAttribute(directive);
+            const expression = directive === 'kwm-else' ? null : this.parseExpression(`${directive}="${jsCodeExpr}"`, jsCodeExpr);
+            return {
+                isActive: () => directive === 'kwm-else' || (expression ? !!this.evaluateCondition(expression) : false),
+                templateElem: elem,
+            };
+        });
+        // Index of the active branch - tracks the observables read by the conditions
+        const activeIndex = new KWM_Computed(() => branches.findIndex(branch => branch.isActive()));
+
+        // Replace the branches with two anchors - the active branch is rendered in between
+        const templateHtml = KWM_Bindings.getTemplateHtml(chain);
+        const startAnchor = document.createComment(` kwm-if: ${ifElem.getAttribute('kwm-if')} `);
+        const endAnchor = document.createComment(' /kwm-if ');
+        ifElem.before(startAnchor, endAnchor);
+        branches.forEach(({ templateElem }) => {
+            templateElem.remove();
+            ['kwm-if', 'kwm-else-if', 'kwm-else'].forEach(attribute => templateElem.removeAttribute(attribute));
+        });
+
+        const unbind = KWM_Bindings.bindConditional(startAnchor, endAnchor, branches, activeIndex, this.component, this.scope);
+        this.addRegion(startAnchor, endAnchor, templateHtml, activeIndex.hasDependencies, () => {
+            unbind();
+            activeIndex.dispose();
+        });
+    }
+
+    /**
+     * Get the elements of a conditional chain - the kwm-if element and its kwm-else-if / kwm-else siblings
+     * @param {HTMLElement} ifElem
+     * @returns {HTMLElement[]}
+     */
+    static getConditionalChain(ifElem) {
+        const chain = [ifElem];
+        for (let elem = ifElem.nextElementSibling; elem && !chain.at(-1).hasAttribute('kwm-else'); elem = elem.nextElementSibling) {
+            if (!elem.hasAttribute('kwm-else-if') && !elem.hasAttribute('kwm-else')) {
+                break;
+            }
+            chain.push(elem);
+        }
+        return chain;
+    }
+
+    /**
+     * Get the HTML of the template elements of a structural region (as they were in the template of the component)
+     * @param {HTMLElement[]} templateElems
+     * @returns {string}
+     */
+    static getTemplateHtml(templateElems) {
+        return templateElems.map(elem => elem._kwmTemplateHtml ?? elem.outerHTML).join('');
+    }
+
+    /**
+     * Registers a structural region (kwm-for / kwm-if) between two anchors.
+     * The DOM morphing of KWM_Component keeps a region with its rendered nodes (and bindings) if its template did not change
+     * and it updates itself (it is bound to observables).
+     * @param {Comment} startAnchor
+     * @param {Comment} endAnchor
+     * @param {string} templateHtml
+     * @param {boolean} isReactive
+     * @param {function} unbind
+     */
+    addRegion(startAnchor, endAnchor, templateHtml, isReactive, unbind) {
+        const region = {
+            startAnchor,
+            endAnchor,
+            // Disposed regions can't be kept anymore - their rendered nodes are replaced on the next render
+            unbind: () => {
+                delete startAnchor._kwmRegion;
+                unbind();
+            },
+            // Template elements of the next render that are covered by the region - null if it can't be kept
+            match: (elem) => {
+                if (!isReactive || elem.nodeType !== Node.ELEMENT_NODE || !(elem.hasAttribute('kwm-for') || elem.hasAttribute('kwm-if'))) {
+                    return null;
+                }
+                const templateElems = elem.hasAttribute('kwm-if') ? KWM_Bindings.getConditionalChain(elem) : [elem];
+                return KWM_Bindings.getTemplateHtml(templateElems) === templateHtml ? templateElems : null;
+            },
+        };
+        startAnchor._kwmRegion = region;
+        this.regions.add(region);
+    }
+
+    /**
+     * Evaluates the condition of a kwm-if / kwm-else-if branch - an observable resolves to its value
+     * @param {KWM_Expression} expression
+     * @returns {any}
+     */
+    evaluateCondition(expression) {
+        try {
+            const observable = expression.getObservable(this.component, this.scope);
+            return observable ? observable.value : expression.evaluate(this.component, this.scope);
+        } catch (error) {
+            console.error(`Bindings Error: kwm-if - ${error.message} in "${this.component.constructor.name}"`, this.component);
+            return false;
+        }
+    }
+
+    /**
+     * Conditional rendering between two anchor nodes.
+     * The DOM is only touched if another branch becomes active.
+     * @param {Comment} startAnchor
+     * @param {Comment} endAnchor
+     * @param {{isActive: function, templateElem: HTMLElement}[]} branches
+     * @param {KWM_Observable<number>} activeIndex - index of the active branch (-1 -> none)
+     * @param {KWM_Component|object} component
+     * @param {object} scope
+     * @returns {function} unsubscribe
+     */
+    static bindConditional(startAnchor, endAnchor, branches, activeIndex, component, scope = {}) {
+        let mountedIndex = -1;
+        let bindings = null;
+
+        const update = (index) => {
+            if (index === mountedIndex) {
+                return;
+            }
+
+            // Unmount the active branch and dispose its bindings
+            bindings?.unbind();
+            bindings = null;
+            while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+                startAnchor.nextSibling.remove();
+            }
+
+            mountedIndex = index;
+            if (index < 0) {
+                return;
+            }
+
+            // Mount the new branch with its own bindings (bound before it is inserted -> only one DOM update)
+            const { templateElem } = branches[index];
+            const fragment = templateElem instanceof HTMLTemplateElement ?
+                document.importNode(templateElem.content, true) :
+                document.createDocumentFragment();
+            if (!(templateElem instanceof HTMLTemplateElement)) {
+                fragment.append(templateElem.cloneNode(true));
+            }
+
+            bindings = new KWM_Bindings(component, null, scope);
+            [...fragment.children].forEach(node => {
+                node._kwmBranch = true;
+                bindings.applyBindings(node);
+            });
+            endAnchor.parentNode.insertBefore(fragment, endAnchor);
+        };
+
+        update(activeIndex.value);
+        const unsubscribe = activeIndex.subscribe(update);
+
+        return () => {
+            unsubscribe();
+            bindings?.unbind();
+        };
+    }
+
+    /**
+     * Keyed list rendering between two anchor nodes.
+     * Reconciles the items on every change of the observable array: removes nodes of removed items,
+     * creates nodes for new items and moves only the nodes that are not part of the longest stable sequence.
+     * @param {Comment} startAnchor
+     * @param {Comment} endAnchor
+     * @param {KWM_Observable|Array} data
+     * @param {function} getScope - (item, index) => scope of the item
+     * @param {string|null} keyExpr - expression identifying an item e.g. "todo.id" - default: the item itself
+     * @param {HTMLElement} templateElem
+     * @param {KWM_Component|object} component
+     * @returns {function} unsubscribe
+     */
+    static bindList(startAnchor, endAnchor, data, getScope, keyExpr, templateElem, component) {
+        let entries = new Map(); // key -> { item, node, bindings }
+
+        const update = (items) => {
+            items = Array.from(items ?? []);
+            const newEntries = new Map();
+
+            items.forEach((item, index) => {
+                const scope = getScope(item, index);
+                const key = keyExpr ? new KWM_Bindings(component, null, scope).evaluate(keyExpr) : item;
+                if (newEntries.has(key)) {
+                    console.warn(`Bindings Warning: kwm-key="${keyExpr}" - duplicate key "${key}" in "${component.constructor.name}"`, component);
+                }
+
+                const oldEntry = entries.get(key);
+                if (oldEntry && oldEntry.item === item && !newEntries.has(key)) {
+                    newEntries.set(key, oldEntry);
+                    entries.delete(key);
+                    return;
+                }
+
+                // New (or replaced) item -> new node with its own bindings
+                const node = templateElem.cloneNode(true);
+                node._kwmListItem = true;
+                const bindings = new KWM_Bindings(component, node, scope);
+                bindings.applyBindings(node);
+                newEntries.set(newEntries.has(key) ? Symbol(key) : key, { item, node, bindings });
+            });
+
+            // Remove nodes of items that are gone (or replaced)
+            entries.forEach(({ node, bindings }) => {
+                bindings.unbind();
+                node.remove();
+            });
+
+            // Nodes in their current DOM order -> keep the longest increasing sequence in place, move / insert the rest
+            const newList = [...newEntries.values()];
+            const currentNodes = [];
+            for (let node = startAnchor.nextSibling; node && node !== endAnchor; node = node.nextSibling) {
+                currentNodes.push(node);
+            }
+            const oldIndices = newList.map(entry => currentNodes.indexOf(entry.node));
+            const stable = KWM_Bindings.getLongestIncreasingSubsequence(oldIndices);
+
+            let referenceNode = endAnchor;
+            for (let i = newList.length - 1; i >= 0; i--) {
+                if (!stable.has(i)) {
+                    endAnchor.parentNode.insertBefore(newList[i].node, referenceNode);
+                }
+                referenceNode = newList[i].node;
+            }
+
+            entries = newEntries;
+        };
+
+        if (data instanceof KWM_Observable) {
+            update(data.value);
+            const unsubscribe = data.subscribe(update);
+            return () => {
+                unsubscribe();
+                entries.forEach(({ bindings }) => bindings.unbind());
+            };
+        }
+
+        update(data);
+        return () => entries.forEach(({ bindings }) => bindings.unbind());
+    }
+
+    /**
+     * Get the positions of the longest increasing subsequence of an array (ignoring -1 entries)
+     * @param {number[]} arr - e.g. the old DOM positions of list items [2, 0, 1, -1]
+     * @returns {Set<number>} positions (in arr) of the subsequence e.g. Set {1, 2}
      */
-    static getJsExpressionTokens(jsExpression) {
-        return jsExpression.replaceAll(/\s|\"|\'|\`|\+|\-|\*|\?|\:|\=|\(|\)|\<|\>|\|\&|\%|\!|\{|\}|\[|\]/gm,'.').split('.');
+    static getLongestIncreasingSubsequence(arr) {
+        const tails = [];        // tails[k] = position in arr of the smallest tail of all subsequences of length k+1
+        const previous = [];     // previous[i] = position in arr of the predecessor of arr[i] in its subsequence
+
+        arr.forEach((value, i) => {
+            if (value < 0) {
+                return;
+            }
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (arr[tails[mid]] < value) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            previous[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+
+        const result = new Set();
+        for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = previous[i]) {
+            result.add(i);
+        }
+        return result;
     }
 
     /**
      * Extract dependent observables from a js expression
      * @param {string} jsExpression 
      * @param {KWM_Component|object} objObservables 
+     * @param {object} scope - (optional) local variables of the expression
+     * @returns {KWM_Observable[]|undefined}
      */
-    static getDependentObservablesFromJsExpression(jsExpression, objObservables) {
+    static getDependentObservablesFromJsExpression(jsExpression, objObservables, scope = {}) {
         if(!jsExpression) {
             return;
         }
-        const jsExprTokens = KWM_Bindings.getJsExpressionTokens(jsExpression);
-        const previousToken = (index) => jsExprTokens[index -1];
-        const observableNames = jsExprTokens.filter((token, i) => {
-            return token && previousToken(i) && previousToken(i) == 'this' &&  
-                objObservables[token] && objObservables[token] instanceof KWM_Observable;
-        }) ?? [];
-        if(!observableNames || observableNames.length == 0) {
+        const dependencies = KWM_Expression.parse(jsExpression).getDependencies(objObservables, scope);
+        if(dependencies.length == 0) {
             return;
         }
-        return observableNames.map(name => objObservables[name]);
+        return dependencies;
     }
 
     /**
      * (optional) 2-way-data-binding (Data -> UI & UI -> Data).
      * Binds the data of an observable to an input value. If the input value changes the observable is updated with the new value.
-     * @param {HTMLElement} elem
+     * Supports text inputs, textareas, number / range inputs, radio groups, checkboxes (boolean or array of values),
+     * single and multiple selects, contenteditable elements and the props of child KWM_Components.
+     * Modifiers:
+     * - lazy: update on 'change' (or 'blur' for contenteditable) instead of 'input'
+     * - number: cast the value to a number (if it is numeric)
+     * - trim: trim whitespace of the value
+     * - debounce(ms): update the observable after the user stopped typing for ms milliseconds (default 300)
+     * @example <input $value.trim.debounce(500)="this.search" />
+     * @example <input type="radio" value="done" $value="this.filter" />
+     * @example <input type="checkbox" value="work" $value="this.tags" /> // this.tags.value is an array
+     * @param {HTMLElement|KWM_Component} elem
      * @param {KWM_Observable} observable
      * @param {string} attribute
+     * @param {string[]} modifiers - e.g. ['trim', 'debounce(300)']
      * @returns {function|void} unsubscribe
      */ 
-    static modelAttribute(elem, observable, attribute = 'value') {
+    static modelAttribute(elem, observable, attribute = 'value', modifiers = []) {
         if (!(observable instanceof KWM_Observable)) {
             console.error(`Bindings Error: 2-way-databinding / modeling attribute "${attribute}" at ${elem.constructor.name} not possible since binding data is not an instance of an Observable`, elem, observable);
             return;
         }
 
-        // If applicable register input listeners to element
-        if (
-            (elem.tagName === 'SELECT' || elem.tagName === 'INPUT' || elem.tagName === 'TEXTAREA') &&
-            (attribute === 'value' || attribute === 'checked')
-        ) {
-            KWM_Bindings.setSingleInputListener(elem, observable, attribute);
+        const propName = elem instanceof KWM_Component ? elem.resolvePropName(attribute) : undefined;
+        if (propName !== undefined) {
+            return KWM_Bindings.modelProperty(elem, observable, propName);
+        }
+
+        const attributeName = KWM_Bindings.mapping[attribute] ?? attribute;
+
+        // Not a form control -> 1-way-data-binding only
+        if (!KWM_Bindings.isModelControl(elem, attributeName)) {
+            return KWM_Bindings.bindAttribute(elem, observable, attribute);
+        }
+
+        KWM_Bindings.setModelValue(elem, observable.value, attributeName, modifiers);
+        const unsubscribe = observable.subscribe(value => KWM_Bindings.setModelValue(elem, value, attributeName, modifiers));
+        const removeListener = KWM_Bindings.setSingleInputListener(elem, observable, attributeName, modifiers);
+
+        return () => {
+            unsubscribe();
+            removeListener();
+        };
+    }
+
+    /**
+     * 2-way-data-binding of a child component property - changes of the prop inside the child component update the observable
+     * @param {KWM_Component} childComponent
+     * @param {KWM_Observable} observable
+     * @param {string} propName
+     * @returns {function|void} unsubscribe
+     */
+    static modelProperty(childComponent, observable, propName) {
+        const unsubscribe = KWM_Bindings.bindProperty(childComponent, observable, propName);
+        const childObservable = childComponent.props[propName];
+
+        if (!(childObservable instanceof KWM_Observable)) {
+            console.error(`Bindings Error: 2-way-databinding of property "${propName}" at ${childComponent.constructor.name} not possible since the prop is not an instance of an Observable`, childComponent, childObservable);
+            return unsubscribe;
+        }
+
+        const unsubscribeChild = childObservable.subscribe(value => observable.value = value);
+        return () => {
+            unsubscribe();
+            unsubscribeChild();
+        };
+    }
+
+    /**
+     * Checks if the attribute of an element can be modeled (changed by the user)
+     * @param {HTMLElement} elem
+     * @param {string} attributeName
+     * @returns {boolean}
+     */
+    static isModelControl(elem, attributeName) {
+        if (KWM_Bindings.isContentEditable(elem)) {
+            return ['value', 'innerText', 'innerHTML'].includes(attributeName);
+        }
+        return ['SELECT', 'INPUT', 'TEXTAREA'].includes(elem.tagName) &&
+            ['value', 'checked', 'valueAsNumber', 'valueAsDate'].includes(attributeName);
+    }
+
+    /**
+     * @param {HTMLElement} elem
+     * @returns {boolean}
+     */
+    static isContentEditable(elem) {
+        return elem.isContentEditable || (elem.hasAttribute?.('contenteditable') && elem.getAttribute('contenteditable') !== 'false');
+    }
+
+    /**
+     * Parse the modifiers of a model binding
+     * @param {string[]} modifiers - e.g. ['lazy', 'number', 'trim', 'debounce(300)']
+     * @returns {{lazy: boolean, number: boolean, trim: boolean, debounce: number}}
+     */
+    static getModelModifiers(modifiers = []) {
+        const debounce = modifiers.map(modifier => modifier.match(/^debounce(?:\((\d+)\))?$/)).find(Boolean);
+        return {
+            lazy: modifiers.includes('lazy'),
+            number: modifiers.includes('number'),
+            trim: modifiers.includes('trim'),
+            debounce: debounce ? Number(debounce[1] ?? 300) : 0,
+        };
+    }
+
+    /**
+     * Cast a value of a form control according to the modifiers (number inputs are always cast to numbers)
+     * @param {HTMLElement} elem
+     * @param {string} value
+     * @param {string[]} modifiers
+     * @returns {string|number}
+     */
+    static castModelValue(elem, value, modifiers = []) {
+        const { number, trim } = KWM_Bindings.getModelModifiers(modifiers);
+        if (typeof value !== 'string') {
+            return value;
+        }
+        if (trim) {
+            value = value.trim();
+        }
+        if (number || elem.type === 'number' || elem.type === 'range') {
+            const numberValue = parseFloat(value);
+            return isNaN(numberValue) ? value : numberValue;
+        }
+        return value;
+    }
+
+    /**
+     * Get the current value of a form control (UI -> Data)
+     * @param {HTMLElement} elem
+     * @param {string} attributeName
+     * @param {any} currentValue - the current value of the observable (checkbox groups bound to arrays)
+     * @param {string[]} modifiers
+     * @returns {any}
+     */
+    static getModelValue(elem, attributeName, currentValue, modifiers = []) {
+        const cast = value => KWM_Bindings.castModelValue(elem, value, modifiers);
+
+        if (KWM_Bindings.isContentEditable(elem)) {
+            return cast(attributeName === 'innerHTML' ? elem.innerHTML : elem.innerText);
+        }
+        if (elem.tagName === 'SELECT' && elem.multiple) {
+            return [...elem.options].filter(option => option.selected).map(option => cast(option.value));
+        }
+        if (elem.type === 'checkbox') {
+            if (Array.isArray(currentValue)) {
+                const value = cast(elem.value);
+                const otherValues = currentValue.filter(item => item !== value);
+                return elem.checked ? [...otherValues, value] : otherValues;
+            }
+            return elem.checked;
+        }
+        if (elem.type === 'radio') {
+            return attributeName === 'checked' ? elem.checked : cast(elem.value);
         }
+        if (attributeName === 'valueAsNumber' || attributeName === 'valueAsDate') {
+            return elem[attributeName];
+        }
+        return cast(elem.value);
+    }
 
-        return KWM_Bindings.bindAttribute(elem, observable, attribute);
+    /**
+     * Set the value of a form control (Data -> UI)
+     * @param {HTMLElement} elem
+     * @param {any} value
+     * @param {string} attributeName
+     * @param {string[]} modifiers
+     */
+    static setModelValue(elem, value, attributeName, modifiers = []) {
+        const cast = value => KWM_Bindings.castModelValue(elem, value, modifiers);
+
+        if (KWM_Bindings.isContentEditable(elem)) {
+            // Only touch the content if it changed -> keeps the caret position while typing
+            if (KWM_Bindings.getModelValue(elem, attributeName, value, modifiers) !== value) {
+                elem[attributeName === 'innerHTML' ? 'innerHTML' : 'innerText'] = value ?? '';
+            }
+        } else if (elem.tagName === 'SELECT') {
+            const values = elem.multiple ? (Array.isArray(value) ? value : []) : [value];
+            [...elem.options].forEach(option => option.selected = values.includes(cast(option.value)));
+        } else if (elem.type === 'checkbox') {
+            elem.checked = Array.isArray(value) ? value.includes(cast(elem.value)) : !!value;
+        } else if (elem.type === 'radio') {
+            elem.checked = attributeName === 'checked' ? !!value : value === cast(elem.value);
+        } else if (attributeName === 'valueAsNumber' || attributeName === 'valueAsDate') {
+            elem[attributeName] = value;
+        } else if (KWM_Bindings.getModelValue(elem, attributeName, value, modifiers) !== value) {
+            // e.g. 'a ' with .trim or '1.50' with .number is still up to date -> keeps what the user typed
+            elem.value = value ?? '';
+        }
     }
 
     /**
@@ -239,9 +878,121 @@ export default class KWM_Bindings {
             attributeName = 'checked';
         }
 
+        if (attributeName === 'class' || attributeName === 'className') {
+            KWM_Bindings.setClass(elem, value);
+            return;
+        }
+        if (attributeName === 'style') {
+            KWM_Bindings.setStyle(elem, value);
+            return;
+        }
+
         elem[attributeName] = value;
     }
 
+    /**
+     * Set the bound classes of an HTML element - static classes of the element (class="...") are kept
+     * @example :class="'todo done'" / :class="['todo', this.size.value]" / :class="{ completed: todo.completed }"
+     * @param {HTMLElement} elem
+     * @param {string|Array|object} value - strings, arrays (also nested) and objects {className: boolean}
+     */
+    static setClass(elem, value) {
+        elem._kwmStaticClasses ??= new Set(elem.classList);
+        const previousClasses = elem._kwmBoundClasses ?? new Set();
+        const classes = new Set(KWM_Bindings.getClassNames(value));
+
+        previousClasses.forEach(className => {
+            if (!classes.has(className) && !elem._kwmStaticClasses.has(className)) {
+                elem.classList.remove(className);
+            }
+        });
+        classes.forEach(className => elem.classList.add(className));
+        elem._kwmBoundClasses = classes;
+    }
+
+    /**
+     * Get a flat list of class names from a class binding value
+     * @param {string|Array|object} value
+     * @returns {string[]}
+     */
+    static getClassNames(value) {
+        if (!value) {
+            return [];
+        }
+        if (typeof value === 'string') {
+            return value.split(/\s+/).filter(Boolean);
+        }
+        if (Array.isArray(value)) {
+            return value.flatMap(item => KWM_Bindings.getClassNames(item));
+        }
+        if (typeof value === 'object') {
+            return Object.entries(value).filter(([, isActive]) => isActive).flatMap(([className]) => KWM_Bindings.getClassNames(className));
+        }
+        return [String(value)];
+    }
+
+    /**
+     * Set the bound style properties of an HTML element - static styles of the element (style="...") are kept
+     * @example :style="{ color: this.color.value, fontSize: 14, '--progress': this.progress.value + '%' }"
+     * @example :style="'color: red; font-size: 14px'"
+     * @param {HTMLElement} elem
+     * @param {string|object} value - numbers get the unit 'px' (except for unitless properties like opacity),
+     * null / undefined / false remove the property
+     */
+    static setStyle(elem, value) {
+        const previousProperties = elem._kwmBoundStyles ?? new Set();
+        const styles = KWM_Bindings.getStyleProperties(value);
+
+        previousProperties.forEach(property => {
+            if (!(property in styles)) {
+                elem.style.removeProperty(property);
+            }
+        });
+        Object.entries(styles).forEach(([property, propertyValue]) => {
+            if (propertyValue === null || propertyValue === undefined || propertyValue === false) {
+                elem.style.removeProperty(property);
+            } else {
+                elem.style.setProperty(property, propertyValue);
+            }
+        });
+        elem._kwmBoundStyles = new Set(Object.keys(styles));
+    }
+
+    // Properties taking numbers without a unit
+    static unitlessStyles = new Set([
+        'opacity', 'z-index', 'font-weight', 'line-height', 'flex', 'flex-grow', 'flex-shrink', 'order',
+        'zoom', 'orphans', 'widows', 'column-count', 'fill-opacity', 'stroke-opacity', 'grid-row', 'grid-column',
+        'aspect-ratio', 'animation-iteration-count', 'tab-size',
+    ]);
+
+    /**
+     * Normalizes a style binding value to { 'css-property': 'value' }
+     * @param {string|object|Array} value
+     * @returns {object}
+     */
+    static getStyleProperties(value) {
+        if (!value) {
+            return {};
+        }
+        if (Array.isArray(value)) {
+            return Object.assign({}, ...value.map(item => KWM_Bindings.getStyleProperties(item)));
+        }
+        if (typeof value === 'string') {
+            return Object.fromEntries(value.split(';')
+                .map(declaration => declaration.split(/:(.*)/s).map(part => part.trim()))
+                .filter(([property, propertyValue]) => property && propertyValue));
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([property, propertyValue]) => {
+            // camelCase -> kebab-case, custom properties (--my-var) stay as they are
+            const cssProperty = property.startsWith('--') ? property : property.replace(/[A-Z]/g, char => '-' + char.toLowerCase());
+            const cssValue = typeof propertyValue === 'number' && !cssProperty.startsWith('--') && !KWM_Bindings.unitlessStyles.has(cssProperty) ?
+                propertyValue + 'px' :
+                propertyValue;
+            return [cssProperty, cssValue === null || cssValue === undefined || cssValue === false ? cssValue : String(cssValue)];
+        }));
+    }
+
     static mapping = {
         text: "innerText",
         innertext: "innerText",
@@ -249,45 +1000,169 @@ export default class KWM_Bindings {
         html: "innerHTML",
         innerhtml: "innerHTML",
         'inner-html': "innerHTML",
+        valueasnumber: "valueAsNumber",
+        valueasdate: "valueAsDate",
     };
 
     /**
      * 1-way-data-binding (UI -> Data).
-     * Binds the changes of a input element to a observable.
+     * Binds the changes of a form control (or contenteditable element) to a observable.
      * @param {HTMLElement} inputElem
      * @param {KWM_Observable} observable
-     * @param {string} attribute
+     * @param {string} attributeName
+     * @param {string[]} modifiers - e.g. ['lazy'], ['debounce(300)']
+     * @returns {function} unsubscribe
      */
-    static setSingleInputListener(inputElem, observable) {
-        if (inputElem.tagName === 'SELECT') {
-            inputElem.onchange = () => observable.value = inputElem.options[inputElem.selectedIndex].value;
-        } else if (inputElem.type === 'checkbox' || inputElem.type === 'radio') {
-            inputElem.onchange = () => observable.value = inputElem.checked;
-        } else {
-            inputElem.onkeyup = () => observable.value = inputElem.value;
-            inputElem.onchange = () => observable.value = inputElem.value;
-        }
+    static setSingleInputListener(inputElem, observable, attributeName = 'value', modifiers = []) {
+        const { lazy, debounce } = KWM_Bindings.getModelModifiers(modifiers);
+        const isTextInput = KWM_Bindings.isContentEditable(inputElem) ||
+            inputElem.tagName === 'TEXTAREA' ||
+            (inputElem.tagName === 'INPUT' && !['checkbox', 'radio', 'file'].includes(inputElem.type));
+        const eventType = !isTextInput ? 'change' :
+            !lazy ? 'input' :
+            KWM_Bindings.isContentEditable(inputElem) ? 'blur' : 'change';
+
+        let timeout = null;
+        let isComposing = false; // IME input (e.g. japanese) -> update when the composition has ended
+
+        const update = () => {
+            // Only the checked radio of a group writes its value
+            if (inputElem.type === 'radio' && attributeName !== 'checked' && !inputElem.checked) {
+                return;
+            }
+            observable.value = KWM_Bindings.getModelValue(inputElem, attributeName, observable.value, modifiers);
+        };
+        const listener = () => {
+            if (isComposing) {
+                return;
+            }
+            if (debounce > 0) {
+                clearTimeout(timeout);
+                timeout = setTimeout(update, debounce);
+                return;
+            }
+            update();
+        };
+        const onCompositionStart = () => isComposing = true;
+        const onCompositionEnd = () => {
+            isComposing = false;
+            eventType === 'input' && listener();
+        };
+
+        inputElem.addEventListener(eventType, listener);
+        inputElem.addEventListener('compositionstart', onCompositionStart);
+        inputElem.addEventListener('compositionend', onCompositionEnd);
+
+        return () => {
+            clearTimeout(timeout);
+            inputElem.removeEventListener(eventType, listener);
+            inputElem.removeEventListener('compositionstart', onCompositionStart);
+            inputElem.removeEventListener('compositionend', onCompositionEnd);
+        };
     }
 
     /**
      * 1-way-data-binding (UI -> Data).
-     * Registers new event listener, skip if there already is the listener registered.
-     * Prevents infinit loops and multiple listeners due to (re)rendering.
+     * Registers an event listener with modifiers. The returned function removes it again (e.g. before re-binding).
+     * Modifiers:
+     * - listener options: once, passive, capture
+     * - prevent (preventDefault), stop (stopPropagation), self (only events dispatched on the element itself)
+     * - keys (keyboard events): enter, esc, space, tab, delete, up, down, left, right or any key in kebab-case (e.g. page-down)
+     * - mouse buttons (mouse events): left, middle, right
+     * - system keys: ctrl, alt, shift, meta - and exact (no other system keys pressed)
+     * @example KWM_Bindings.bindEventListener(input, 'keyup', () => this.addTodo(), ['enter'])
      * @param {HTMLElement} elem
-     * @param {string} type
+     * @param {string} type - e.g. 'click' or a custom event emitted by a KWM_Component e.g. 'todo-removed'
      * @param {function} callback
+     * @param {string[]} modifiers - e.g. ['enter', 'prevent']
+     * @returns {function} unsubscribe
      */
-    static bindSingleEventListener(elem, type, callback) {
+    static bindEventListener(elem, type, callback, modifiers = []) {
         if (!elem) {
             throw new Error('🚨 Element is ' + elem);
         }
-        if (!Object.prototype.hasOwnProperty.call(elem, 'on' + type)) {
-            elem['on' + type] = callback
+
+        const options = {
+            once: modifiers.includes('once'),
+            passive: modifiers.includes('passive'),
+            capture: modifiers.includes('capture'),
+        };
+
+        const listener = (event) => {
+            if (!KWM_Bindings.matchesEventModifiers(event, elem, modifiers)) {
+                return;
+            }
+            modifiers.includes('prevent') && event.preventDefault();
+            modifiers.includes('stop') && event.stopPropagation();
+            callback(event);
+        };
+
+        elem.addEventListener(type, listener, options);
+        return () => elem.removeEventListener(type, listener, options);
+    }
+
+    static keyModifiers = {
+        enter: ['Enter'],
+        esc: ['Escape', 'Esc'],
+        escape: ['Escape', 'Esc'],
+        space: [' ', 'Spacebar'],
+        tab: ['Tab'],
+        delete: ['Delete', 'Backspace'],
+        up: ['ArrowUp', 'Up'],
+        down: ['ArrowDown', 'Down'],
+        left: ['ArrowLeft', 'Left'],
+        right: ['ArrowRight', 'Right'],
+    };
+
+    static mouseButtonModifiers = { left: 0, middle: 1, right: 2 };
+
+    static systemModifiers = ['ctrl', 'alt', 'shift', 'meta'];
+
+    static behaviourModifiers = ['once', 'passive', 'capture', 'prevent', 'stop', 'self', 'exact'];
+
+    /**
+     * Checks if an event matches the filtering modifiers (self, keys, mouse buttons, system keys)
+     * @param {Event} event
+     * @param {HTMLElement} elem
+     * @param {string[]} modifiers
+     * @returns {boolean}
+     */
+    static matchesEventModifiers(event, elem, modifiers) {
+        if (modifiers.includes('self') && event.target !== elem) {
+            return false;
+        }
+
+        const systemModifiers = modifiers.filter(modifier => KWM_Bindings.systemModifiers.includes(modifier));
+        if (systemModifiers.some(modifier => !event[modifier + 'Key'])) {
+            return false;
+        }
+        if (modifiers.includes('exact') && KWM_Bindings.systemModifiers.some(modifier => event[modifier + 'Key'] && !systemModifiers.includes(modifier))) {
+            return false;
         }
+
+        const filterModifiers = modifiers.filter(modifier => !KWM_Bindings.behaviourModifiers.includes(modifier) && !systemModifiers.includes(modifier));
+        if (filterModifiers.length === 0) {
+            return true;
+        }
+
+        // Mouse buttons (left / middle / right) for mouse events
+        if (typeof event.button === 'number' && !('key' in event)) {
+            return filterModifiers.some(modifier => KWM_Bindings.mouseButtonModifiers[modifier] === event.button);
+        }
+
+        // Keys for keyboard events - e.g. 'page-down' matches 'PageDown'
+        if (typeof event.key === 'string') {
+            const kebabKey = event.key.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+            return filterModifiers.some(modifier => KWM_Bindings.keyModifiers[modifier]?.includes(event.key) || modifier === kebabKey);
+        }
+
+        return true;
     }
 
     /**
      * Bind Component Property
+     * Sets the observable prop `childComponent.props[propName]` (declared with `static props` or created in the constructor of the child)
+     * @example <hero-teaser-component :heading="this.title"></hero-teaser-component>
      * @param {KWM_Component} childComponent
      * @param {KWM_Observable|any} data
      * @param {string} propName
@@ -295,13 +1170,11 @@ export default class KWM_Bindings {
      */
     static bindProperty(childComponent, data, propName) {
         if (data instanceof KWM_Observable) {
-            childComponent.props[propName].value = data.value; // Set initial value inside child component
-            return data.subscribe(value => {
-                childComponent.props[propName].value = value;
-            });
+            childComponent.setProp(propName, data.value); // Set initial value inside child component
+            return data.subscribe(value => childComponent.setProp(propName, value));
         }
         
-        childComponent.props[propName] = data;
+        childComponent.setProp(propName, data);
     }
 
     /**
@@ -2,6 +2,11 @@
 
 import KWM_Bindings from './kwm-bindings.js';
 import KWM_Observable from './kwm-observable.js';
+import KWM_Computed from './kwm-computed.js';
+import KWM_Effect from './kwm-effect.js';
+import KWM_Morph from './kwm-morph.js';
+import KWM_DisposalScope from './kwm-disposal-scope.js';
+import KWM_Scheduler from './kwm-scheduler.js';
 
 /**
  * KWM Component
@@ -9,6 +14,44 @@ import KWM_Observable from './kwm-observable.js';
  * A component is a class / HTMLELement that can be rendered into the DOM.
  * Every component has a template function that returns a string of HTML, that describes how the component looks like.
  * The template function is called every time the component is rendered.
+ * The DOM is patched (morphed) to match the new template -> unchanged elements and child components keep their identity and state.
+ * Renders triggered by changes (render dependencies, props) are batched by the KWM_Scheduler: several changes in a row
+ * render the component once - await `this.updateComplete` or `this.nextTick()` to wait for the updated DOM.
+ *
+ * When the component leaves the DOM it is destroyed: bindings, render dependencies and everything registered with
+ * track(), watch(), listen(), computed() and effect() are released. They are restored when the component is mounted again.
+ *
+ * Props are declared with `static props` - every prop is an observable in `this.props` that is set from its attribute
+ * (converted to the declared type) and re-renders the component when it changes.
+ * @example static props = {
+ *     heading: { type: String, default: 'Welcome' },              // attribute 'heading'
+ *     maxItems: { type: Number, default: 10, validator: value => value > 0 }, // attribute 'max-items'
+ *     open: { type: Boolean, reflect: true },                    // changes of the prop are reflected to the attribute
+ *     todoId: { type: Number, required: true },
+ *     tags: { type: Array, default: () => [] },                  // attribute values of Arrays / Objects are JSON
+ * };
+ *
+ * Content placed inside of the tag of a component is projected into the <kwm-slot> elements of its template
+ * (captured before the first render). Elements with a slot attribute go into the named slot, everything else into the
+ * default slot. The children of a <kwm-slot> are its fallback content. Projected content stays bound to the component
+ * whose template it belongs to. With shadow DOM the <kwm-slot> elements become native <slot> elements.
+ * @example <kwm-card>                                      // template of <kwm-card>:
+ *     <h2 slot="title">${this.title}</h2>              // <header><kwm-slot name="title">Untitled</kwm-slot></header>
+ *     <p @click="this.select()">Any markup</p>            // <kwm-slot></kwm-slot>
+ * </kwm-card>
+ *
+ * Styles are declared with `static styles` (CSS strings or CSSStyleSheets) - they are turned into constructable
+ * stylesheets once per component class and shared by all of its instances.
+ * - `static shadow = true` renders the template into a shadow root that adopts the styles -> they do not leak in or out
+ *   (or pass the options of attachShadow e.g. `static shadow = { mode: 'closed', delegatesFocus: true }`)
+ * - `static scoped = true` (without shadow DOM) marks the elements of the template with a kwm-scope attribute and rewrites
+ *   the selectors of the styles to only match them -> global styles still apply. `:host` matches the component itself.
+ * - Neither -> the styles are global (adopted by the document)
+ * @example static shadow = true;
+ * static styles = `
+ *     :host { display: block; }
+ *     .cta { color: var(--kwmjs-accent); }
+ * `;
  *
  * @author Jakob Osterberger - 2023
  */
@@ -22,19 +65,451 @@ export default class KWM_Component extends HTMLElement {
         this._bindings = null;
         this._mounted = false;
         this._focusedElem = null;
+        this._focusedSelection = null;
         this._templateCache = '';
+        this._isRendering = false;
+        this._isDestroyed = false;
+        this._disposalScope = new KWM_DisposalScope();   // Subscriptions released while the component is not in the DOM
+        this._reflectingProp = null;
+        this._shadowRoot = null;
+        this._slotContent = null;           // Map: slot name -> projected nodes
+        this._isRenderPending = false;      // Render was requested while the component was not in the DOM
+        this.props = this.props ?? {};      // Observable props (e.g. route params or bound properties of a parent)
+
+        if (this.constructor.shadow) {
+            const shadowOptions = typeof this.constructor.shadow === 'object' ? this.constructor.shadow : {};
+            this._shadowRoot = this.attachShadow({ mode: 'open', ...shadowOptions });
+            this._shadowRoot.adoptedStyleSheets = this.constructor.getStyleSheets();
+        }
+
+        this.initProps();
+    }
+
+    /**
+     * The node the template is rendered into - the shadow root (static shadow = true) or the component itself
+     * @returns {ShadowRoot|KWM_Component}
+     */
+    get renderRoot() {
+        return this._shadowRoot ?? this;
     }
 
     /**
      * Necessary beause we use the WebComponents API
      */
     connectedCallback() {
+        this.adoptStyles();
+
+        // Render when connected the first time (components rendered by the router are already rendered into their container)
+        if (!this._bindings && !this._isRendering) {
+            this.render();
+        }
+
         if (!this._mounted) {
-            // this.render();
             // (Optional) Lifecycle-Hook function for first render
             this.onFirstRender();
             this._mounted = true;
+            this.validateProps();
+        }
+
+        // Mounted again after it was destroyed -> restore subscriptions and bindings
+        if (this._isDestroyed) {
+            this.restore();
+            if (!this._isRendering && this._templateCache) {
+                this.render();
+            }
+        } else if (this._isRenderPending && !this._isRendering) {
+            this.render();
+        }
+    }
+
+    /**
+     * Necessary beause we use the WebComponents API
+     */
+    disconnectedCallback() {
+        // (Optional) Lifecycle-Hook function running every time the component leaves the DOM
+        this.onDisconnect();
+
+        // Destroy the component if it was not inserted again in the meantime (e.g. moved inside of the DOM)
+        queueMicrotask(() => {
+            if (!this.isConnected && !this._isDestroyed) {
+                this.destroy();
+            }
+        });
+    }
+
+    /**
+     * Attributes of the declared props
+     * @returns {string[]}
+     */
+    static get observedAttributes() {
+        return Object.keys(this.getPropDefinitions()).map(name => this.getPropAttribute(name));
+    }
+
+    /**
+     * Necessary beause we use the WebComponents API
+     */
+    attributeChangedCallback(attribute, oldValue, newValue) {
+        const name = Object.keys(this.constructor.getPropDefinitions()).find(name => this.constructor.getPropAttribute(name) === attribute);
+        if (name === undefined || name === this._reflectingProp) {
+            return;
         }
+        const definition = this.constructor.getPropDefinitions()[name];
+        this.setProp(name, KWM_Component.parseAttributeValue(newValue, definition.type));
+    }
+
+    /**
+     * Get the constructable stylesheets of the component class (created once and shared by all instances)
+     * @returns {CSSStyleSheet[]}
+     */
+    static getStyleSheets() {
+        if (Object.hasOwn(this, '_styleSheets')) {
+            return this._styleSheets;
+        }
+
+        const scopeId = !this.shadow && this.scoped ? this.getScopeId() : null;
+        this._styleSheets = [this.styles ?? []].flat().map(style => {
+            if (style instanceof CSSStyleSheet && !scopeId) {
+                return style;
+            }
+            const styleSheet = new CSSStyleSheet();
+            styleSheet.replaceSync(style instanceof CSSStyleSheet ? [...style.cssRules].map(rule => rule.cssText).join('\n') : String(style));
+            if (scopeId) {
+                KWM_Component.scopeRules(styleSheet.cssRules, scopeId);
+            }
+            return styleSheet;
+        });
+        return this._styleSheets;
+    }
+
+    /**
+     * Get the id of the scoped styles of the component class - its tag name (or class name)
+     * @returns {string}
+     */
+    static getScopeId() {
+        return customElements.getName?.(this) ?? this.name.toLowerCase();
+    }
+
+    /**
+     * Rewrites the selectors of style rules (also inside of @media, @supports, ...) to only match elements of a scope
+     * @param {CSSRuleList} rules
+     * @param {string} scopeId
+     */
+    static scopeRules(rules, scopeId) {
+        [...rules].forEach(rule => {
+            if (rule instanceof CSSStyleRule) {
+                rule.selectorText = KWM_Component.splitSelectorList(rule.selectorText)
+                    .map(selector => KWM_Component.scopeSelector(selector, scopeId))
+                    .join(', ');
+            } else if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) {
+                KWM_Component.scopeRules(rule.cssRules, scopeId);
+            }
+        });
+    }
+
+    /**
+     * Splits a selector list at its commas (not the ones inside of e.g. :is(...) or [title="a, b"])
+     * @param {string} selectorList
+     * @returns {string[]}
+     */
+    static splitSelectorList(selectorList) {
+        const selectors = [''];
+        let depth = 0;
+        for (const char of selectorList) {
+            if (char === ',' && depth === 0) {
+                selectors.push('');
+                continue;
+            }
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            selectors[selectors.length - 1] += char;
+        }
+        return selectors.map(selector => selector.trim()).filter(Boolean);
+    }
+
+    /**
+     * Scopes a selector - its last compound selector gets the scope attribute, :host is replaced by the host attribute
+     * @example '.hero-teaser h1::before' -> '.hero-teaser h1[kwm-scope="hero-teaser-component"]::before'
+     * @example ':host(.dark) p' -> '[kwm-host="hero-teaser-component"].dark p[kwm-scope="hero-teaser-component"]'
+     * @param {string} selector
+     * @param {string} scopeId
+     * @returns {string}
+     */
+    static scopeSelector(selector, scopeId) {
+        const hostAttribute = `[kwm-host="${scopeId}"]`;
+        selector = selector.replace(/:host(?:\(([^()]*)\))?/g, (match, hostSelector = '') => hostAttribute + hostSelector);
+
+        // The last compound selector starts after the last combinator (outside of brackets and parentheses)
+        let depth = 0;
+        let lastCompoundStart = 0;
+        [...selector].forEach((char, i) => {
+            if (char === '(' || char === '[') depth++;
+            else if (char === ')' || char === ']') depth--;
+            else if (depth === 0 && /[\s>+~]/.test(char)) lastCompoundStart = i + 1;
+        });
+
+        const lastCompound = selector.slice(lastCompoundStart);
+        if (lastCompound.includes(hostAttribute)) {
+            return selector;
+        }
+        // Pseudo-elements have to stay at the end
+        const pseudoElementIndex = lastCompound.search(/::|:(before|after|first-line|first-letter)\b/);
+        const insertIndex = lastCompoundStart + (pseudoElementIndex === -1 ? lastCompound.length : pseudoElementIndex);
+        return selector.slice(0, insertIndex) + `[kwm-scope="${scopeId}"]` + selector.slice(insertIndex);
+    }
+
+    /**
+     * Adopts the styles of a component without shadow DOM into the document (or the shadow root it is rendered in) - once
+     */
+    adoptStyles() {
+        const styleSheets = this.constructor.getStyleSheets();
+        const root = this.getRootNode();
+        if (this._shadowRoot || styleSheets.length === 0 || !('adoptedStyleSheets' in root)) {
+            return;
+        }
+        const missingStyleSheets = styleSheets.filter(styleSheet => !root.adoptedStyleSheets.includes(styleSheet));
+        if (missingStyleSheets.length > 0) {
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...missingStyleSheets];
+        }
+    }
+
+    /**
+     * Marks the elements of a rendered template with the scope attribute of the component (static scoped = true)
+     * @param {DocumentFragment} content
+     */
+    scopeElements(content) {
+        if (this._shadowRoot || !this.constructor.scoped) {
+            return;
+        }
+        const scopeId = this.constructor.getScopeId();
+        if (this.getAttribute('kwm-host') !== scopeId) {
+            this.setAttribute('kwm-host', scopeId);
+        }
+
+        const markElements = (root) => root.querySelectorAll('*').forEach(elem => {
+            elem.setAttribute('kwm-scope', scopeId);
+            if (elem instanceof HTMLTemplateElement) {
+                markElements(elem.content); // e.g. <template kwm-else>
+            }
+        });
+        markElements(content);
+    }
+
+    /**
+     * Get the declared props of the component class (including the ones of its parent classes)
+     * @returns {Object<string, {type: function, default: any, required: boolean, validator: function, reflect: boolean, attribute: string}>}
+     */
+    static getPropDefinitions() {
+        if (Object.hasOwn(this, '_propDefinitions')) {
+            return this._propDefinitions;
+        }
+
+        const parentDefinitions = this === KWM_Component ? {} : Object.getPrototypeOf(this).getPropDefinitions?.() ?? {};
+        const ownDefinitions = Object.hasOwn(this, 'props') ? this.props : {};
+        this._propDefinitions = { ...parentDefinitions };
+        Object.entries(ownDefinitions).forEach(([name, definition]) => {
+            // Shorthand: { heading: String }
+            this._propDefinitions[name] = typeof definition === 'function' ? { type: definition } : definition;
+        });
+        return this._propDefinitions;
+    }
+
+    /**
+     * Get the attribute of a prop - camelCase props have kebab-case attributes (e.g. maxItems -> max-items)
+     * @param {string} name
+     * @returns {string}
+     */
+    static getPropAttribute(name) {
+        return this.getPropDefinitions()[name]?.attribute ?? name.replace(/[A-Z]/g, char => '-' + char.toLowerCase());
+    }
+
+    /**
+     * Converts an attribute value to the declared type of a prop
+     * @param {string|null} value - null if the attribute was removed
+     * @param {function} type - String, Number, Boolean, Array or Object
+     * @returns {any} undefined if there is no value -> the default value is used
+     */
+    static parseAttributeValue(value, type) {
+        if (type === Boolean) {
+            return value !== null && value !== 'false';
+        }
+        if (value === null) {
+            return undefined;
+        }
+        if (type === Number) {
+            return value.trim() === '' ? NaN : Number(value);
+        }
+        if (type === Array || type === Object) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value; // invalid -> warned by the validation
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Checks if a value has a declared type
+     * @param {any} value
+     * @param {function} type
+     * @returns {boolean}
+     */
+    static isPropType(value, type) {
+        switch (type) {
+            case String: return typeof value === 'string';
+            case Number: return typeof value === 'number' && !Number.isNaN(value);
+            case Boolean: return typeof value === 'boolean';
+            case Array: return Array.isArray(value);
+            case Object: return typeof value === 'object' && !Array.isArray(value);
+            case Function: return typeof value === 'function';
+            default: return value instanceof type;
+        }
+    }
+
+    /**
+     * Get the default value of a prop (defaults of Arrays and Objects are functions -> every instance gets its own)
+     * @param {string} name
+     * @returns {any}
+     */
+    getPropDefault(name) {
+        const definition = this.constructor.getPropDefinitions()[name];
+        if (typeof definition?.default === 'function' && definition.type !== Function) {
+            return definition.default();
+        }
+        if (definition?.default === undefined && definition?.type === Boolean) {
+            return false;
+        }
+        return definition?.default;
+    }
+
+    /**
+     * Creates the observables of the declared props - changes are validated, reflected to the attribute and re-render the component
+     */
+    initProps() {
+        Object.entries(this.constructor.getPropDefinitions()).forEach(([name, definition]) => {
+            const observable = this.props[name] instanceof KWM_Observable ? this.props[name] : new KWM_Observable(this.getPropDefault(name));
+            this.props[name] = observable;
+
+            this.watch(observable, value => {
+                this.validateProp(name, value);
+                if (definition.reflect) {
+                    this.reflectProp(name, value);
+                }
+                if (this._bindings && !this._isRendering) {
+                    this.requestRender();
+                }
+            });
+        });
+    }
+
+    /**
+     * Sets the value of a prop - strings are converted to the declared type, undefined resets it to the default value
+     * @param {string} name
+     * @param {any} value
+     */
+    setProp(name, value) {
+        const definition = this.constructor.getPropDefinitions()[name];
+        if (definition && typeof value === 'string' && definition.type !== String) {
+            value = KWM_Component.parseAttributeValue(value, definition.type);
+        }
+        if (definition && value === undefined) {
+            value = this.getPropDefault(name);
+        }
+
+        if (this.props[name] instanceof KWM_Observable) {
+            this.props[name].value = value;
+        } else {
+            this.props[name] = new KWM_Observable(value);
+        }
+    }
+
+    /**
+     * Get the name of a prop from a (lower case or kebab-case) attribute name e.g. 'maxitems' or 'max-items' -> 'maxItems'
+     * @param {string} attribute
+     * @returns {string|undefined}
+     */
+    resolvePropName(attribute) {
+        if (attribute in this.props) {
+            return attribute;
+        }
+        const normalize = (name) => name.replace(/-/g, '').toLowerCase();
+        return Object.keys(this.props).find(name => normalize(name) === normalize(attribute));
+    }
+
+    /**
+     * Warns about invalid or missing props
+     */
+    validateProps() {
+        Object.keys(this.constructor.getPropDefinitions()).forEach(name => this.validateProp(name, this.props[name]?.value));
+    }
+
+    /**
+     * Warns if the value of a prop is missing (required) or invalid (type or validator)
+     * @param {string} name
+     * @param {any} value
+     * @returns {boolean}
+     */
+    validateProp(name, value) {
+        const definition = this.constructor.getPropDefinitions()[name];
+        if (!definition) {
+            return true;
+        }
+
+        if (value === undefined || value === null) {
+            if (definition.required) {
+                console.warn(`${this.constructor.name} Warning: required prop "${name}" is missing (attribute "${this.constructor.getPropAttribute(name)}")`, this);
+                return false;
+            }
+            return true;
+        }
+        if (definition.type && !KWM_Component.isPropType(value, definition.type)) {
+            console.warn(`${this.constructor.name} Warning: prop "${name}" expects a ${definition.type.name} but got`, value, this);
+            return false;
+        }
+        if (definition.validator && !definition.validator(value)) {
+            console.warn(`${this.constructor.name} Warning: prop "${name}" is invalid`, value, this);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reflects the value of a prop to its attribute
+     * @param {string} name
+     * @param {any} value
+     */
+    reflectProp(name, value) {
+        const attribute = this.constructor.getPropAttribute(name);
+        this._reflectingProp = name;
+        if (value === undefined || value === null || value === false) {
+            this.removeAttribute(attribute);
+        } else if (value === true) {
+            this.setAttribute(attribute, '');
+        } else {
+            this.setAttribute(attribute, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+        this._reflectingProp = null;
+    }
+
+    /**
+     * Releases the bindings, render dependencies, computeds and listeners of the component.
+     * Runs automatically when the component left the DOM - they are restored when the component is mounted again.
+     */
+    destroy() {
+        this._isDestroyed = true;
+        this._bindings?.unbind();
+        this._disposalScope.dispose();
+
+        // (Optional) Lifecycle-Hook function running after the component was destroyed
+        this.onDestroy();
+    }
+
+    /**
+     * Restores the subscriptions, computeds and listeners released by destroy()
+     */
+    restore() {
+        this._isDestroyed = false;
+        this._disposalScope.restore();
     }
 
     /**
@@ -53,48 +528,135 @@ export default class KWM_Component extends HTMLElement {
         return;
     }
 
+    /**
+     * (Optional) Hook function running every time the component is removed from the DOM (also when it is only moved)
+     */
+    onDisconnect() {
+        // onDisconnect: override me - I run every time the component leaves the DOM
+        return;
+    }
+
+    /**
+     * (Optional) Hook function running after the component was destroyed (removed from the DOM and its subscriptions released)
+     */
+    onDestroy() {
+        // onDestroy: override me - I run when the component was removed from the DOM - clean up what you set up manually
+        return;
+    }
+
     /**
      * Render the component into a container Element
      */
     render(container) {
-        this.catchFocus(); // (Optional) Save current focus
+        // Rendered again after it was destroyed (e.g. the router mounts it again) -> the template has to read up to date
+        // computeds, the restore in connectedCallback would come too late
+        if (this._isDestroyed) {
+            this.restore();
+        }
 
-        const newTemplate = this.template(this);
-        this._templateCache = newTemplate;
-        this.innerHTML = newTemplate;
+        this._isRendering = true;
+        // try / finally -> a failing template or binding does not block later renders (the scheduler logs the error)
+        try {
+            this._isRenderPending = false;
+            KWM_Scheduler.cancel(this); // rendered now -> a scheduled render is not needed anymore
+            this.catchFocus(); // (Optional) Save current focus
+            this.captureSlotContent();
 
+            // Keep the content of the outlet (= rendered child route component) alive if the outlet gets replaced
+            const outlet = this.getOutlet();
+            const outletNodes = [...(outlet?.childNodes ?? [])];
 
-        // If a container is passed, render the component into the container
-        if (container) {
-            this._mounted = true;
-            // Remove all children from the container
-            container.innerHTML = '';
-            // Append the component to the container -> preserve the component instance (setting innerHTML would create a new instance)
-            container.appendChild(this);
-        }
+            const newTemplate = this.template(this);
+            this._templateCache = newTemplate;
+            const newContent = KWM_Morph.parse(newTemplate);
+            this.scopeElements(newContent);
+            this.prepareSlots(newContent);
+            KWM_Morph.patchChildren(this.renderRoot, newContent);
 
-        // Automatically apply bindings after rendering
-        if (!this._bindings) {
-            this._bindings = new KWM_Bindings(this, this);
-        }
-        this._bindings.bind();
+            if (outletNodes.length > 0 && this.getOutlet() !== outlet) {
+                this.getOutlet()?.replaceChildren(...outletNodes);
+            }
 
-        this.resetFocus(); // (Optional)
+
+            // If a container is passed, render the component into the container
+            if (container) {
+                const isFirstMount = !this._mounted;
+                this._mounted = true;
+                // Remove all children from the container
+                container.innerHTML = '';
+                // Append the component to the container -> preserve the component instance (setting innerHTML would create a new instance)
+                container.appendChild(this);
+                // connectedCallback skips the first mount checks (_mounted is already set) -> validate the initial props here
+                if (isFirstMount) {
+                    this.validateProps();
+                }
+            }
+
+            // Automatically apply bindings after rendering
+            if (!this._bindings) {
+                this._bindings = new KWM_Bindings(this, this.renderRoot);
+            }
+            this._bindings.bind();
+            this.projectSlotContent();
+
+            this.resetFocus(); // (Optional)
+        } finally {
+            this._isRendering = false;
+        }
 
         // Lifecycle-Hook function that runs every time the component is rendered
         this.onRender();
     }
 
+    /**
+     * Schedules a render - several requests before the flush of the KWM_Scheduler render the component once
+     * @example this.requestRender(); await this.updateComplete;
+     * @returns {Promise<void>} resolves when the DOM is up to date
+     */
+    requestRender() {
+        return KWM_Scheduler.schedule(this);
+    }
+
+    /**
+     * Renders the component for the KWM_Scheduler - a component that is not in the DOM renders when it is connected again
+     */
+    performRender() {
+        if (!this.isConnected || this._isDestroyed) {
+            this._isRenderPending = true;
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Resolves when the scheduled render of the component is done (right away if there is none)
+     * @example component.props.heading.value = 'New'; await component.updateComplete;
+     * @returns {Promise<void>}
+     */
+    get updateComplete() {
+        return KWM_Scheduler.isScheduled(this) ? KWM_Scheduler.nextTick() : Promise.resolve();
+    }
+
+    /**
+     * Waits until all scheduled renders are done
+     * @example this.todos.value = [...]; this.nextTick(() => this.listRef.lastElementChild.focus());
+     * @param {function} [callbackFn]
+     * @returns {Promise<any>}
+     */
+    nextTick(callbackFn) {
+        return KWM_Scheduler.nextTick(callbackFn);
+    }
+
     /**
      * Manually register dependencies to re-render component when dependency (observable) changes
      * @param observables give me all observables that are used in the template for conditional rendering e.g. ${this.observable.get() ? '...' : '...'} or 
      * list rendering e.g. ${this.observable.get().map(item => '...').join('')} or
-     * in an show-if expression e.g. <div ?show-if="this.observable.value !== 0"></div>
+     * in an show-if expression e.g. <div kwm-show="this.observable.value !== 0"></div>
      */
     registerRenderDependencies(observables = []) {
         observables.forEach(obs => {
             if(obs instanceof KWM_Observable) {
-                obs.subscribe(() => this.render());
+                this.watch(obs, () => this.requestRender());
             } else {
                 console.error(this.constructor.name + ' Error: array element is not an observable that can be registered for rendering!', obs);
             }
@@ -107,11 +669,235 @@ export default class KWM_Component extends HTMLElement {
     autoRegisterRenderDependencies(objObservables = {...this, ...this.props}) {
         Object.values(objObservables).forEach(obs => {
             if(obs instanceof KWM_Observable) {
-                obs.subscribe(() => this.render());
+                this.watch(obs, () => this.requestRender());
+            }
+        });
+    }
+
+    /**
+     * Registers a setup function in the disposal scope of the component - it runs right away and again when the component
+     * is mounted after it was destroyed. The returned cleanup function runs when the component is destroyed.
+     * @example this.track(() => KWM_Router.current.value?.bindQueryParam('page', this.page))
+     * @param {function(): (function|void)} setupFn
+     * @returns {function} remove - cleans up and removes the setup function
+     */
+    track(setupFn) {
+        return this._disposalScope.add(setupFn);
+    }
+
+    /**
+     * Subscribes to an observable while the component is mounted
+     * @example this.watch(this.openTodos, openTodos => console.log(openTodos.length))
+     * @param {KWM_Observable} observable
+     * @param {function} listenerFn
+     * @returns {function} remove
+     */
+    watch(observable, listenerFn) {
+        return this.track(() => observable.subscribe(listenerFn));
+    }
+
+    /**
+     * Adds an event listener (e.g. to window or document) while the component is mounted
+     * @example this.listen(window, 'resize', () => this.requestRender())
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {function} listenerFn
+     * @param {object|boolean} options
+     * @returns {function} remove
+     */
+    listen(target, type, listenerFn, options) {
+        return this.track(() => {
+            target.addEventListener(type, listenerFn, options);
+            return () => target.removeEventListener(type, listenerFn, options);
+        });
+    }
+
+    /**
+     * Creates a computed that releases its dependencies while the component is destroyed.
+     * The observables read in the valueFn are tracked as dependencies automatically.
+     * @example this.openTodos = this.computed(() => this.todos.filter(todo => !todo.completed), [], { equals: 'shallow' });
+     * @param {function} valueFn
+     * @param {KWM_Observable[]} dependencies - (Optional) additional dependencies that are not read in the valueFn
+     * @param {object} [options] - (Optional) e.g. `{ equals: 'shallow' }` (see KWM_Observable)
+     * @returns {KWM_Computed}
+     */
+    computed(valueFn, dependencies = [], options = {}) {
+        return this.own(new KWM_Computed(valueFn, dependencies, options));
+    }
+
+    /**
+     * Ties an observable that holds subscriptions (e.g. a computed or the result of an operator) to the component:
+     * it is disposed while the component is destroyed and restored when it is mounted again.
+     * @example this.searchTerm = this.own(debounce(this.search, 300));
+     * @param {KWM_Computed|KWM_OperatorObservable} observable - has a dispose and a restore method
+     * @returns {KWM_Computed|KWM_OperatorObservable} the observable
+     */
+    own(observable) {
+        this.track(() => {
+            observable.restore();
+            return () => observable.dispose();
+        });
+        return observable;
+    }
+
+    /**
+     * Creates an effect that runs while the component is mounted - again whenever an observable it reads changes.
+     * It is disposed while the component is destroyed and runs again when it is mounted again.
+     * @example this.effect(() => document.title = `${this.openTodos.value.length} open Todos`);
+     * @param {function(): (function|void)} effectFn - can return a cleanup function
+     * @returns {function} remove - disposes the effect
+     */
+    effect(effectFn) {
+        let kwmEffect = null;
+        return this.track(() => {
+            if (kwmEffect) {
+                kwmEffect.restore();
+            } else {
+                kwmEffect = new KWM_Effect(effectFn);
+            }
+            return () => kwmEffect.dispose();
+        });
+    }
+
+    /**
+     * Captures the content placed inside of the tag of the component before the first render (not with shadow DOM -> native slots)
+     */
+    captureSlotContent() {
+        if (this._slotContent || this._shadowRoot) {
+            return;
+        }
+        this._slotContent = KWM_Component.groupSlotContent(this.childNodes);
+        this.replaceChildren();
+    }
+
+    /**
+     * Groups nodes by the name of their slot - <template slot="name"> passes its content
+     * @param {NodeList|Node[]} nodes
+     * @returns {Map<string, Node[]>} slot name ('default' for nodes without slot attribute) -> nodes
+     */
+    static groupSlotContent(nodes) {
+        const slotContent = new Map();
+        [...nodes].forEach(node => {
+            const name = (node.nodeType === Node.ELEMENT_NODE && node.getAttribute('slot')) || 'default';
+            const slotNodes = node instanceof HTMLTemplateElement && node.hasAttribute('slot') ? [...node.content.childNodes] : [node];
+            slotContent.set(name, [...(slotContent.get(name) ?? []), ...slotNodes]);
+        });
+
+        // Only whitespace and comments -> no content (the fallback content of the slot is shown)
+        slotContent.forEach((slotNodes, name) => {
+            const hasContent = slotNodes.some(node => node.nodeType === Node.ELEMENT_NODE || (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim() !== ''));
+            if (!hasContent) {
+                slotContent.delete(name);
+            }
+        });
+        return slotContent;
+    }
+
+    /**
+     * Turns the <kwm-slot> elements of a rendered template into native <slot> elements (with shadow DOM)
+     * @param {DocumentFragment} content
+     */
+    prepareSlots(content) {
+        if (!this._shadowRoot) {
+            return;
+        }
+        content.querySelectorAll('kwm-slot').forEach(kwmSlotElem => {
+            const slotElem = document.createElement('slot');
+            [...kwmSlotElem.attributes].forEach(({ name }) => KWM_Morph.copyAttribute(slotElem, kwmSlotElem, name));
+            slotElem.append(...kwmSlotElem.childNodes);
+            kwmSlotElem.replaceWith(slotElem);
+        });
+    }
+
+    /**
+     * Projects the captured content into the <kwm-slot> elements of the component.
+     * Slots of nested components were already claimed by them when they rendered.
+     */
+    projectSlotContent() {
+        if (!this._slotContent) {
+            return;
+        }
+        this.renderRoot.querySelectorAll('kwm-slot').forEach(slotElem => {
+            if (slotElem._kwmSlotOwner && slotElem._kwmSlotOwner !== this) {
+                return;
+            }
+            slotElem._kwmSlotOwner = this;
+
+            const slotNodes = this._slotContent.get(slotElem.getAttribute('name') || 'default');
+            const currentSlotElem = slotNodes?.[0].parentNode;
+            if (!slotNodes || currentSlotElem === slotElem || (currentSlotElem?._kwmSlotOwner === this && this.renderRoot.contains(currentSlotElem))) {
+                return; // nothing to project, already projected or projected into another slot with the same name
             }
+            slotElem.replaceChildren(...slotNodes);
+            slotElem._kwmProjected = true;
         });
     }
 
+    /**
+     * Patches the content projected into the slots to match the content of a new (template) element - called by KWM_Morph
+     * when the template of the parent component is rendered again
+     * @param {HTMLElement} newElem - the element of the component in the template of the parent
+     */
+    patchSlotContent(newElem) {
+        if (this._shadowRoot) {
+            KWM_Morph.patchChildren(this, newElem); // native slots -> the content stays in the component
+            return;
+        }
+        if (!this._slotContent) {
+            return;
+        }
+
+        const newSlotContent = KWM_Component.groupSlotContent(newElem.childNodes);
+        const slotElems = [...this.renderRoot.querySelectorAll('kwm-slot')].filter(slotElem => slotElem._kwmSlotOwner === this);
+        let isFallbackNeeded = false;
+
+        new Set([...this._slotContent.keys(), ...newSlotContent.keys()]).forEach(name => {
+            const slotElem = slotElems.find(elem => (elem.getAttribute('name') || 'default') === name);
+            const newSlotNodes = newSlotContent.get(name);
+            if (!newSlotNodes) {
+                this._slotContent.delete(name);
+                if (slotElem?._kwmProjected) {
+                    slotElem._kwmProjected = false;
+                    slotElem.replaceChildren();
+                    isFallbackNeeded = true;
+                }
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            fragment.append(...newSlotNodes);
+            if (!slotElem) {
+                this._slotContent.set(name, [...KWM_Morph.importNode(fragment).childNodes]);
+                return;
+            }
+            KWM_Morph.patchChildren(slotElem, fragment);
+            slotElem._kwmProjected = true;
+            this._slotContent.set(name, [...slotElem.childNodes]);
+        });
+
+        // Removed content -> render the fallback content of the slots again
+        if (isFallbackNeeded) {
+            this.requestRender();
+        }
+    }
+
+    /**
+     * Get the outlet element where the component of a nested child route is rendered into
+     * @example <kwm-outlet></kwm-outlet> or <div kwm-outlet></div> in the template
+     * @returns {HTMLElement|null}
+     */
+    getOutlet() {
+        return this.renderRoot.querySelector('kwm-outlet, [kwm-outlet]');
+    }
+
+    /**
+     * Passes the params of the active route into the component as observable props
+     * @param {Object} params - e.g. { id: '1712345' } for the slug pattern '/todo/:id'
+     */
+    setRouteParams(params = {}) {
+        Object.entries(params).forEach(([name, value]) => this.setProp(name, value));
+    }
+
     // (Optional) Emit custom events from the component to the outside world (e.g. to the parent component)
     emit(eventName, detail = {}, opts = {}) {
         const customEvent = new CustomEvent(eventName, {
@@ -123,18 +909,30 @@ export default class KWM_Component extends HTMLElement {
         this.dispatchEvent(customEvent);
     }
 
-    // (optional) Catch the current focus
+    // (optional) Catch the current focus (and text selection)
     catchFocus() {
-        if (this.contains(document.activeElement)) {
-            this._focusedElem = document.activeElement;
+        this._focusedElem = null;
+        const activeElement = this._shadowRoot ? this._shadowRoot.activeElement : document.activeElement;
+        if (activeElement && this.renderRoot.contains(activeElement)) {
+            const elem = activeElement;
+            this._focusedElem = elem;
+            this._focusedSelection = typeof elem.selectionStart === 'number' ? [elem.selectionStart, elem.selectionEnd, elem.selectionDirection] : null;
         }
     }
 
-    // (optional) Reset focus to the last focused element
+    // (optional) Reset focus to the last focused element - the DOM morphing keeps it, but it loses the focus if it was moved
     resetFocus() {
-        const newFocusedElem = this._focusedElem?.id ? this.querySelector('#' + this._focusedElem?.id) : null;
-        if (newFocusedElem && newFocusedElem !== this._focusedElem && this._focusedElem?.tagName === 'INPUT') {
-            newFocusedElem?.focus();
+        const focusedElem = this._focusedElem;
+        const activeElement = this._shadowRoot ? this._shadowRoot.activeElement : document.activeElement;
+        if (!focusedElem || activeElement === focusedElem) {
+            return;
+        }
+
+        const newFocusedElem = this.renderRoot.contains(focusedElem) ? focusedElem :
+            focusedElem.id ? this.renderRoot.querySelector(`[id="${focusedElem.id}"]`) : null;
+        newFocusedElem?.focus();
+        if (newFocusedElem && this._focusedSelection && typeof newFocusedElem.setSelectionRange === 'function') {
+            newFocusedElem.setSelectionRange(...this._focusedSelection);
         }
     }
 
@@ -1,18 +1,25 @@
 'use strict';
 
 import KWM_Observable from "./kwm-observable.js";
+import KWM_Tracker from "./kwm-tracker.js";
 
 /**
  * KWM Computed
  *
+ * An observable whose value is derived from other observables.
+ * Every observable whose value is read in the valueFn is a dependency - tracked again on every evaluation
+ * (also through locals, nested objects, other modules or reactive objects e.g. `todoModelInstance.todos.length`).
+ * The value is computed lazily when it is read and only recomputed if a dependency changed.
+ * Subscribers are notified after a change, when all computeds are up to date (glitch-free).
  *
  * @template T - The type of the value stored in the Observable
  * @example const first = obs("Jeremy");
  * const last = obs("Likness");
- * const full = compute(() => `${first.value} ${last.value}`.trim(), [first, last]);
+ * const full = compute(() => `${first.value} ${last.value}`.trim());
  * first.value = "Doreen";
  * console.log(full.value);
  * // logs "Doreen Likness" to the console
+ * full.dispose(); // releases the dependencies
  *
  * @author Jakob Osterberger - 2023
  * @reference inspired by https://blog.jeremylikness.com/blog/client-side-javascript-databinding-without-a-framework/
@@ -20,33 +27,183 @@ import KWM_Observable from "./kwm-observable.js";
 export default class KWM_Computed extends KWM_Observable {
     /**
      * @param {function} valueFn - Give me a function returning a value
-     * @param {KWM_Observable[]} depObserverArr - Give me an Array of Observers that the valueFn depends on
+     * @param {KWM_Observable[]} dependantObserversArr - (Optional) Observers that the valueFn depends on but does not read
+     * (dependencies are tracked automatically) - objects with a subscribe method are subscribed
+     * @param {object} [options] - see KWM_Observable (e.g. `{ equals: 'shallow' }` -> subscribers are not notified
+     * if a new but equal array is computed)
      */
-    constructor(valueFn, dependantObserversArr = []) {
-        super(valueFn());
+    constructor(valueFn, dependantObserversArr = [], options = {}) {
+        super(undefined, options);
 
-        const listenerFn = () => {
-            this._value = valueFn();
-            this.notify();
-        }
-
-        dependantObserversArr.forEach(dep => {
+        this._valueFn = valueFn;
+        this._dependencies = dependantObserversArr.filter(dep => {
             if (!('subscribe' in dep)) {
                 console.error(dep, ' dependency is not a valid observable - dependency needs a subscribe method');
-                return;
+                return false;
             }
-            dep.subscribe(listenerFn);
+            return true;
         });
+        this._sources = new Map();          // Tracked dependencies: observable -> version when it was read
+        this._state = KWM_Tracker.DIRTY;    // Not computed yet
+        this._notifiedVersion = 0;          // Version the subscribers were notified of
+        this._error = null;                 // Error thrown by the last evaluation - rethrown when the value is read
+        this._unsubscribeFns = [];
+        this._isDisposed = false;
+
+        this.subscribeDependencies();
+    }
+
+    /**
+     * Subscribes to the explicit dependencies that are no KWM_Observables (KWM_Observables are tracked)
+     */
+    subscribeDependencies() {
+        const listenerFn = () => KWM_Tracker.batch(() => this.markStale(KWM_Tracker.DIRTY));
+        this._unsubscribeFns = this._dependencies
+            .filter(dep => !(dep instanceof KWM_Observable))
+            .map(dep => dep.subscribe(listenerFn));
+    }
+
+    /**
+     * Checks if the computed depends on any observable (after it was computed)
+     * @returns {boolean}
+     */
+    get hasDependencies() {
+        return this._sources.size > 0 || this._unsubscribeFns.length > 0;
+    }
+
+    /**
+     * Brings the value up to date - recomputes it if a dependency changed
+     */
+    refresh() {
+        if (this._isDisposed || this._state === KWM_Tracker.CLEAN) {
+            return;
+        }
+        if (this._state === KWM_Tracker.CHECK && !KWM_Tracker.haveSourcesChanged(this)) {
+            this._state = KWM_Tracker.CLEAN;
+            return;
+        }
+        this.recompute();
+    }
+
+    /**
+     * Computes the value and tracks the observables read by the valueFn.
+     * An error of the valueFn is stored as result (rethrown when the value is read) -> the computed stays clean and
+     * is recomputed on the next change of a dependency.
+     */
+    recompute() {
+        this._state = KWM_Tracker.CLEAN; // before the valueFn runs -> changes while it runs mark it as dirty again
+        const hadError = this._error !== null;
+        let newValue;
+        try {
+            newValue = KWM_Tracker.run(this, () => {
+                this._dependencies.forEach(dep => dep instanceof KWM_Observable && KWM_Tracker.track(dep));
+                return this._valueFn();
+            });
+        } catch (error) {
+            this._error = error;
+            this._version++;
+            return;
+        }
+
+        this._error = null;
+        if (hadError || !KWM_Tracker.untracked(() => this._equals(this._value, newValue))) {
+            this._value = newValue;
+            this._version++;
+        }
+    }
+
+    /**
+     * Marks the computed as outdated - called by the KWM_Tracker when a dependency changed
+     * @param {number} state - KWM_Tracker.DIRTY or KWM_Tracker.CHECK
+     */
+    markStale(state) {
+        if (this._state >= state) {
+            return;
+        }
+        const wasClean = this._state === KWM_Tracker.CLEAN;
+        this._state = state;
+        if (wasClean) {
+            [...this._observers].forEach(observer => observer.markStale(KWM_Tracker.CHECK));
+            if (this.size > 0) {
+                KWM_Tracker.enqueue(this); // subscribers are notified after the change
+            }
+        }
+    }
+
+    /**
+     * Notifies the subscribers if the value changed - called by the KWM_Tracker after a change
+     */
+    runReaction() {
+        this.refresh();
+        if (this._version !== this._notifiedVersion) {
+            this._notifiedVersion = this._version;
+            if (this._error !== null) {
+                console.error(`KWM_Computed Error: computing the value failed - the subscribers keep the last value`, this._error, this);
+                return;
+            }
+            this.notifyListeners();
+        }
+    }
+
+    subscribe(listenerFn = (value) => { }) {
+        this.refresh(); // the dependencies are known after it was computed
+        if (this.size === 0) {
+            this._notifiedVersion = this._version;
+        }
+        return super.subscribe(listenerFn);
+    }
+
+    /**
+     * Releases the subscriptions of the dependencies - the value is not updated anymore (e.g. when its component was destroyed)
+     */
+    dispose() {
+        this._unsubscribeFns.forEach(unsubscribe => unsubscribe?.());
+        this._unsubscribeFns = [];
+        KWM_Tracker.release(this);
+        this._isDisposed = true;
+    }
+
+    /**
+     * Subscribes to the dependencies again after it was disposed - the value is recomputed (dependencies may have changed in between)
+     */
+    restore() {
+        if (!this._isDisposed) {
+            return;
+        }
+        this._isDisposed = false;
+        this.subscribeDependencies();
+
+        this._state = KWM_Tracker.DIRTY;
+        if (this.size > 0) {
+            this.runReaction();
+        }
     }
 
     get value() {
-        return this._value;
+        this.refresh();
+        KWM_Tracker.track(this); // after the refresh -> the observer remembers the version of the up to date value
+        return this.getResult();
     }
 
     set value(_) {
         throw "🚨 Cannot set computed property";
     }
 
+    peek() {
+        this.refresh();
+        return this.getResult();
+    }
+
+    /**
+     * @returns {T} the computed value - throws the error of the last evaluation if it failed
+     */
+    getResult() {
+        if (this._error !== null) {
+            throw this._error;
+        }
+        return this._value;
+    }
+
     update(_) {
         throw "🚨 Cannot set computed property";
     }
@@ -59,6 +216,6 @@ export default class KWM_Computed extends KWM_Observable {
 /**
  * Convenience shorthand method
  * @template T
- * @type {<T>(valueFn: (v?: T) => T, depObserverArr?: KWM_Observable[]) => KWM_Computed<T>}
+ * @type {<T>(valueFn: (v?: T) => T, depObserverArr?: KWM_Observable[], options?: object) => KWM_Computed<T>}
  */
-export const compute = (valueFn, depObserverArr = []) => new KWM_Computed(valueFn, depObserverArr);
+export const compute = (valueFn, depObserverArr = [], options = {}) => new KWM_Computed(valueFn, depObserverArr, options);
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * KWM Disposal Scope
+ *
+ * Collects setup functions that return a cleanup function (e.g. `() => observable.subscribe(...)` returns the unsubscribe function).
+ * Disposing the scope runs all cleanup functions, restoring it runs the setup functions again.
+ * Every KWM_Component has one -> its subscriptions are released when it leaves the DOM and restored when it is mounted again.
+ *
+ * @example const scope = new KWM_DisposalScope();
+ * scope.add(() => todos.subscribe(() => console.log('changed')));
+ * scope.dispose(); // unsubscribed
+ * scope.restore(); // subscribed again
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_DisposalScope {
+
+    constructor() {
+        this._entries = new Set();  // { setupFn, cleanupFn }
+        this._isActive = true;
+    }
+
+    get isActive() {
+        return this._isActive;
+    }
+
+    /**
+     * Adds a setup function - it runs right away if the scope is active
+     * @param {function(): (function|void)} setupFn - returns its cleanup function
+     * @returns {function} remove - runs the cleanup function and removes the setup function from the scope
+     */
+    add(setupFn) {
+        const entry = { setupFn, cleanupFn: null };
+        this._entries.add(entry);
+        if (this._isActive) {
+            entry.cleanupFn = setupFn();
+        }
+
+        return () => {
+            entry.cleanupFn?.();
+            entry.cleanupFn = null;
+            this._entries.delete(entry);
+        };
+    }
+
+    /**
+     * Runs all cleanup functions
+     */
+    dispose() {
+        if (!this._isActive) {
+            return;
+        }
+        this._isActive = false;
+        this._entries.forEach(entry => {
+            entry.cleanupFn?.();
+            entry.cleanupFn = null;
+        });
+    }
+
+    /**
+     * Runs all setup functions again (after the scope was disposed)
+     */
+    restore() {
+        if (this._isActive) {
+            return;
+        }
+        this._isActive = true;
+        this._entries.forEach(entry => entry.cleanupFn = entry.setupFn());
+    }
+}
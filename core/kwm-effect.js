@@ -0,0 +1,110 @@
+'use strict';
+
+import KWM_Tracker from './kwm-tracker.js';
+
+/**
+ * KWM Effect
+ *
+ * Runs a function right away and again whenever an observable whose value it read changes.
+ * The dependencies are tracked on every run (see KWM_Tracker) - the effect runs once per change, after all computeds are up to date.
+ * The function can return a cleanup function - it runs before the next run and when the effect is disposed.
+ *
+ * @example const dispose = effect(() => {
+ *     document.title = `${todoModelInstance.todos.length} Todos`;
+ * });
+ * dispose(); // releases the dependencies
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Effect {
+
+    /**
+     * @param {function(): (function|void)} effectFn - can return a cleanup function
+     */
+    constructor(effectFn) {
+        this._effectFn = effectFn;
+        this._sources = new Map();          // Tracked dependencies: observable -> version when it was read
+        this._state = KWM_Tracker.DIRTY;
+        this._cleanupFn = null;
+        this._isDisposed = false;
+
+        this.run();
+    }
+
+    /**
+     * Runs the effect function (after the cleanup of the last run) and tracks the observables it reads
+     */
+    run() {
+        this.cleanup();
+        this._state = KWM_Tracker.CLEAN; // before the function runs -> changes while it runs mark it as dirty again
+        const cleanupFn = KWM_Tracker.run(this, this._effectFn);
+        this._cleanupFn = typeof cleanupFn === 'function' ? cleanupFn : null;
+    }
+
+    cleanup() {
+        const cleanupFn = this._cleanupFn;
+        this._cleanupFn = null;
+        if (cleanupFn) {
+            KWM_Tracker.untracked(cleanupFn);
+        }
+    }
+
+    /**
+     * Marks the effect as outdated - called by the KWM_Tracker when a dependency changed
+     * @param {number} state - KWM_Tracker.DIRTY or KWM_Tracker.CHECK
+     */
+    markStale(state) {
+        if (this._state >= state) {
+            return;
+        }
+        this._state = state;
+        KWM_Tracker.enqueue(this);
+    }
+
+    /**
+     * Runs the effect again if a dependency really changed - called by the KWM_Tracker after a change
+     */
+    runReaction() {
+        if (this._isDisposed || this._state === KWM_Tracker.CLEAN) {
+            return;
+        }
+        if (this._state === KWM_Tracker.CHECK && !KWM_Tracker.haveSourcesChanged(this)) {
+            this._state = KWM_Tracker.CLEAN;
+            return;
+        }
+        this.run();
+    }
+
+    /**
+     * Runs the cleanup function and releases the dependencies - the effect does not run anymore
+     */
+    dispose() {
+        if (this._isDisposed) {
+            return;
+        }
+        this._isDisposed = true;
+        KWM_Tracker.release(this);
+        this.cleanup();
+    }
+
+    /**
+     * Runs the effect again after it was disposed (e.g. when its component is mounted again)
+     */
+    restore() {
+        if (!this._isDisposed) {
+            return;
+        }
+        this._isDisposed = false;
+        this.run();
+    }
+}
+
+/**
+ * Convenience shorthand method
+ * @param {function(): (function|void)} effectFn
+ * @returns {function} dispose
+ */
+export const effect = (effectFn) => {
+    const kwmEffect = new KWM_Effect(effectFn);
+    return () => kwmEffect.dispose();
+};
@@ -0,0 +1,770 @@
+'use strict';
+
+import KWM_Observable from "./kwm-observable.js";
+
+/**
+ * KWM Expression
+ *
+ * A small parser and interpreter for the js expressions used in the bindings of templates.
+ * Runs without `new Function` / `eval` -> works with a strict Content-Security-Policy (no 'unsafe-eval').
+ *
+ * Supported: literals (numbers, strings, template strings, true, false, null, undefined, arrays, objects),
+ * `this`, local variables of the scope, properties of `this` without `this.` (`todos` = `this.todos`), member access (`a.b`, `a[b]`, `a?.b`), calls (`a.b(c)`, `a?.()`),
+ * arrow functions (`todo => todo.completed`), arithmetic (`+ - * / %`), comparison (`== != === !== < > <= >=`),
+ * logical (`&& || ?? !`), `typeof`, ternary (`a ? b : c`), assignments (`= += -= *= /=`) and
+ * several expressions separated by `;` (e.g. in listeners) - the value of the last one is returned.
+ *
+ * @example KWM_Expression.parse("this.count.value + 1").evaluate(component) // -> 43
+ * @example KWM_Expression.parse("this.toggleTodo(todo.id)").evaluate(component, { todo })
+ * @example KWM_Expression.parse("this.todos.value.length").getDependencies(component) // -> [component.todos]
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Expression {
+
+    /**
+     * @param {string} source - Give me the js expression e.g. "this.todos.value.filter(todo => !todo.completed)"
+     */
+    constructor(source) {
+        this.source = source;
+        this.tokens = KWM_Expression.tokenize(source);
+        this.position = 0;
+        this.ast = this.parseProgram();
+    }
+
+    // Parsed expressions by source -> every expression is only parsed once
+    // Least recently used first -> templates that interpolate values into expressions cannot grow it without limit
+    static cache = new Map();
+    static cacheLimit = 500;
+
+    // Global variables that can be used in expressions (everything else has to come from `this` or the scope)
+    static globals = {
+        Math, Number, String, Boolean, Array, Object, JSON, Date,
+        parseInt, parseFloat, isNaN, isFinite, encodeURIComponent, decodeURIComponent, console,
+    };
+
+    /**
+     * Parses an expression (cached - the least recently used expression is dropped when the cache is full)
+     * @param {string} source
+     * @returns {KWM_Expression}
+     */
+    static parse(source) {
+        const cache = KWM_Expression.cache;
+        const expression = cache.get(source) ?? new KWM_Expression(source);
+        // (Re-)insert -> the Map keeps the most recently used expression last
+        cache.delete(source);
+        cache.set(source, expression);
+        if (cache.size > KWM_Expression.cacheLimit) {
+            cache.delete(cache.keys().next().value);
+        }
+        return expression;
+    }
+
+    /**
+     * Evaluates the expression
+     * @param {object} context - the value of `this` (e.g. a KWM_Component)
+     * @param {object} scope - (optional) local variables e.g. { todo, event }
+     * @returns {any}
+     */
+    evaluate(context, scope = {}) {
+        return this.evaluateNode(this.ast, { context, scope });
+    }
+
+    /**
+     * Get all observables the expression reads - member chains like `this.todos.value.length` or `todo.done`
+     * are resolved (without calling functions) and every observable on the way is a dependency
+     * @param {object} context - the value of `this` (e.g. a KWM_Component)
+     * @param {object} scope - (optional) local variables
+     * @returns {KWM_Observable[]}
+     */
+    getDependencies(context, scope = {}) {
+        const dependencies = new Set();
+        const env = { context, scope };
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (node.type === 'This' || node.type === 'Identifier' || node.type === 'Member') {
+                const resolved = this.resolveStatic(node, env);
+                if (resolved.ok && resolved.value instanceof KWM_Observable) {
+                    dependencies.add(resolved.value);
+                }
+            }
+            if (node.type === 'Arrow') {
+                return; // parameters are only known when the function is called
+            }
+            Object.values(node).forEach(child => Array.isArray(child) ? child.forEach(visit) : visit(child));
+        };
+        visit(this.ast);
+
+        return [...dependencies];
+    }
+
+    /**
+     * Get the observable if the whole expression is a reference to one (e.g. "this.todos" or "todo.done")
+     * @param {object} context
+     * @param {object} scope
+     * @returns {KWM_Observable|null}
+     */
+    getObservable(context, scope = {}) {
+        const resolved = this.resolveStatic(this.ast, { context, scope });
+        return resolved.ok && resolved.value instanceof KWM_Observable ? resolved.value : null;
+    }
+
+    /**
+     * Get the object and the key if the whole expression is a member chain (e.g. "this.form.name" or "todo['text']")
+     * @param {object} context
+     * @param {object} scope
+     * @returns {{object: object, key: string}|null}
+     */
+    getReference(context, scope = {}) {
+        const node = this.ast;
+        if (node.type !== 'Member' || (node.computed && node.property.type !== 'Literal')) {
+            return null;
+        }
+        const object = this.resolveStatic(node.object, { context, scope });
+        if (!object.ok || object.value === null || typeof object.value !== 'object') {
+            return null;
+        }
+        return { object: object.value, key: node.computed ? node.property.value : node.property };
+    }
+
+    /**
+     * Resolves identifiers and member chains without calling anything
+     * @returns {{ok: boolean, value?: any}}
+     */
+    resolveStatic(node, env) {
+        try {
+            if (node.type === 'This') {
+                return { ok: true, value: env.context };
+            }
+            if (node.type === 'Identifier') {
+                return this.hasVariable(node.name, env) ? { ok: true, value: this.getVariable(node, env) } : { ok: false };
+            }
+            if (node.type === 'Member' && (!node.computed || node.property.type === 'Literal')) {
+                const object = this.resolveStatic(node.object, env);
+                if (!object.ok || object.value === null || object.value === undefined) {
+                    return { ok: false };
+                }
+                return { ok: true, value: object.value[node.computed ? node.property.value : node.property] };
+            }
+        } catch (error) {
+            // e.g. a throwing getter - not a dependency
+        }
+        return { ok: false };
+    }
+
+    /* ----------------------------------------------------------------------------------------------------------------
+     * Tokenizer
+     * ------------------------------------------------------------------------------------------------------------- */
+
+    static punctuators = [
+        '===', '!==', '...', '?.', '??', '=>', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=',
+        '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}', '=', ';',
+    ];
+
+    /**
+     * Splits an expression into tokens
+     * @param {string} source
+     * @returns {{type: string, value: any, pos: number}[]}
+     */
+    static tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Numbers: 42, 3.14, .5, 1e3
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+                const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+                tokens.push({ type: 'Number', value: Number(match[0]), pos: i });
+                i += match[0].length;
+                continue;
+            }
+
+            // Identifiers & keywords
+            if (/[A-Za-z_$]/.test(char)) {
+                const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+                tokens.push({ type: 'Identifier', value: match[0], pos: i });
+                i += match[0].length;
+                continue;
+            }
+
+            // Strings: 'text', "text"
+            if (char === '"' || char === "'") {
+                const { value, end } = KWM_Expression.readString(source, i, char);
+                tokens.push({ type: 'String', value, pos: i });
+                i = end;
+                continue;
+            }
+
+            // Template strings: `text ${expression}`
+            if (char === '`') {
+                const { parts, end } = KWM_Expression.readTemplate(source, i);
+                tokens.push({ type: 'Template', value: parts, pos: i });
+                i = end;
+                continue;
+            }
+
+            // Punctuators - '?.' followed by a digit is a ternary with a number (a?.5:1)
+            const punctuator = KWM_Expression.punctuators.find(p => source.startsWith(p, i) && !(p === '?.' && /[0-9]/.test(source[i + 2])));
+            if (punctuator) {
+                tokens.push({ type: 'Punctuator', value: punctuator, pos: i });
+                i += punctuator.length;
+                continue;
+            }
+
+            throw new KWM_ExpressionError(`Unexpected character "${char}"`, source, i);
+        }
+
+        tokens.push({ type: 'EOF', value: undefined, pos: source.length });
+        return tokens;
+    }
+
+    static escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    /**
+     * @returns {{value: string, end: number}} end = index after the closing quote
+     */
+    static readString(source, start, quote) {
+        let value = '';
+        let i = start + 1;
+        while (i < source.length && source[i] !== quote) {
+            if (source[i] === '\\') {
+                const next = source[i + 1];
+                if (next === 'u') {
+                    value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                    i += 6;
+                    continue;
+                }
+                value += KWM_Expression.escapes[next] ?? next;
+                i += 2;
+                continue;
+            }
+            value += source[i++];
+        }
+        if (i >= source.length) {
+            throw new KWM_ExpressionError('Unterminated string', source, start);
+        }
+        return { value, end: i + 1 };
+    }
+
+    /**
+     * @returns {{parts: Array<string|{source: string, pos: number}>, end: number}} end = index after the closing backtick
+     */
+    static readTemplate(source, start) {
+        const parts = [];
+        let text = '';
+        let i = start + 1;
+        while (i < source.length && source[i] !== '`') {
+            if (source[i] === '\\') {
+                text += KWM_Expression.escapes[source[i + 1]] ?? source[i + 1];
+                i += 2;
+            } else if (source.startsWith('${', i)) {
+                parts.push(text);
+                text = '';
+                let depth = 1;
+                let j = i + 2;
+                while (j < source.length && depth > 0) {
+                    if (source[j] === '{') depth++;
+                    if (source[j] === '}') depth--;
+                    j++;
+                }
+                if (depth > 0) {
+                    throw new KWM_ExpressionError('Unterminated "${" in template string', source, i);
+                }
+                parts.push({ source: source.slice(i + 2, j - 1), pos: i + 2 });
+                i = j;
+            } else {
+                text += source[i++];
+            }
+        }
+        if (i >= source.length) {
+            throw new KWM_ExpressionError('Unterminated template string', source, start);
+        }
+        parts.push(text);
+        return { parts, end: i + 1 };
+    }
+
+    /* ----------------------------------------------------------------------------------------------------------------
+     * Parser - recursive descent, one method per precedence level
+     * ------------------------------------------------------------------------------------------------------------- */
+
+    get current() {
+        return this.tokens[this.position];
+    }
+
+    peek(offset = 1) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    is(value, token = this.current) {
+        return token.type === 'Punctuator' && token.value === value;
+    }
+
+    isKeyword(value, token = this.current) {
+        return token.type === 'Identifier' && token.value === value;
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    expect(value) {
+        if (!this.is(value)) {
+            this.unexpected(`expected "${value}"`);
+        }
+        return this.next();
+    }
+
+    unexpected(hint = '') {
+        const token = this.current;
+        const found = token.type === 'EOF' ? 'end of expression' : `token "${token.type === 'String' ? `'${token.value}'` : token.type === 'Template' ? '`...`' : token.value}"`;
+        throw new KWM_ExpressionError(`Unexpected ${found}${hint ? ` - ${hint}` : ''}`, this.source, token.pos);
+    }
+
+    parseProgram() {
+        const body = [];
+        while (this.current.type !== 'EOF') {
+            if (this.is(';')) {
+                this.next();
+                continue;
+            }
+            body.push(this.parseExpression());
+            if (!this.is(';') && this.current.type !== 'EOF') {
+                this.unexpected();
+            }
+        }
+        return body.length === 1 ? body[0] : { type: 'Sequence', body, pos: 0 };
+    }
+
+    parseExpression() {
+        return this.parseAssignment();
+    }
+
+    parseAssignment() {
+        if (this.isArrowFunction()) {
+            return this.parseArrowFunction();
+        }
+
+        const left = this.parseConditional();
+        if (['=', '+=', '-=', '*=', '/='].some(op => this.is(op))) {
+            const operator = this.next();
+            if (left.type !== 'Identifier' && left.type !== 'Member') {
+                throw new KWM_ExpressionError('Invalid assignment target', this.source, left.pos);
+            }
+            return { type: 'Assignment', operator: operator.value, target: left, value: this.parseAssignment(), pos: operator.pos };
+        }
+        return left;
+    }
+
+    // x => ... | (x, y) => ... | () => ...
+    isArrowFunction() {
+        if (this.current.type === 'Identifier' && this.is('=>', this.peek())) {
+            return true;
+        }
+        if (!this.is('(')) {
+            return false;
+        }
+        let offset = 1;
+        while (this.peek(offset).type === 'Identifier' || this.is(',', this.peek(offset))) {
+            offset++;
+        }
+        return this.is(')', this.peek(offset)) && this.is('=>', this.peek(offset + 1));
+    }
+
+    parseArrowFunction() {
+        const pos = this.current.pos;
+        const params = [];
+        if (this.current.type === 'Identifier') {
+            params.push(this.next().value);
+        } else {
+            this.expect('(');
+            while (!this.is(')')) {
+                params.push(this.next().value);
+                if (this.is(',')) this.next();
+            }
+            this.expect(')');
+        }
+        this.expect('=>');
+        return { type: 'Arrow', params, body: this.parseAssignment(), pos };
+    }
+
+    parseConditional() {
+        const test = this.parseBinary(0);
+        if (!this.is('?')) {
+            return test;
+        }
+        const pos = this.next().pos;
+        const consequent = this.parseAssignment();
+        this.expect(':');
+        return { type: 'Conditional', test, consequent, alternate: this.parseAssignment(), pos };
+    }
+
+    // Binary operators by precedence (low -> high)
+    static binaryPrecedence = [
+        ['??'],
+        ['||'],
+        ['&&'],
+        ['==', '!=', '===', '!=='],
+        ['<', '>', '<=', '>='],
+        ['+', '-'],
+        ['*', '/', '%'],
+    ];
+
+    parseBinary(level) {
+        if (level >= KWM_Expression.binaryPrecedence.length) {
+            return this.parseUnary();
+        }
+        let left = this.parseBinary(level + 1);
+        while (KWM_Expression.binaryPrecedence[level].some(op => this.is(op))) {
+            const operator = this.next();
+            const right = this.parseBinary(level + 1);
+            const type = ['??', '||', '&&'].includes(operator.value) ? 'Logical' : 'Binary';
+            left = { type, operator: operator.value, left, right, pos: operator.pos };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.is('!') || this.is('-') || this.is('+') || this.isKeyword('typeof')) {
+            const operator = this.next();
+            return { type: 'Unary', operator: operator.value, argument: this.parseUnary(), pos: operator.pos };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        const start = this.current.pos; // start of the chain -> error messages can quote the callee
+        let node = this.parsePrimary();
+        while (true) {
+            if (this.is('.')) {
+                const pos = this.next().pos;
+                node = { type: 'Member', object: node, property: this.parsePropertyName(), computed: false, optional: false, pos };
+            } else if (this.is('?.')) {
+                const pos = this.next().pos;
+                if (this.is('[')) {
+                    this.next();
+                    node = { type: 'Member', object: node, property: this.parseExpression(), computed: true, optional: true, pos };
+                    this.expect(']');
+                } else if (this.is('(')) {
+                    node = { type: 'Call', callee: node, args: this.parseArguments(), optional: true, pos, start };
+                } else {
+                    node = { type: 'Member', object: node, property: this.parsePropertyName(), computed: false, optional: true, pos };
+                }
+            } else if (this.is('[')) {
+                const pos = this.next().pos;
+                node = { type: 'Member', object: node, property: this.parseExpression(), computed: true, optional: false, pos };
+                this.expect(']');
+            } else if (this.is('(')) {
+                const pos = this.current.pos; // before the arguments are parsed -> errors point to the call
+                node = { type: 'Call', callee: node, args: this.parseArguments(), optional: false, pos, start };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parsePropertyName() {
+        if (this.current.type !== 'Identifier') {
+            this.unexpected('expected a property name');
+        }
+        return this.next().value;
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.is(')')) {
+            args.push(this.parseExpression());
+            if (!this.is(')')) this.expect(',');
+        }
+        this.expect(')');
+        return args;
+    }
+
+    static literals = { true: true, false: false, null: null, undefined: undefined };
+
+    parsePrimary() {
+        const token = this.current;
+
+        if (token.type === 'Number' || token.type === 'String') {
+            this.next();
+            return { type: 'Literal', value: token.value, pos: token.pos };
+        }
+        if (token.type === 'Template') {
+            this.next();
+            const parts = token.value.map(part => {
+                if (typeof part === 'string') {
+                    return part;
+                }
+                try {
+                    return KWM_Expression.offsetPositions(new KWM_Expression(part.source).ast, part.pos);
+                } catch (error) {
+                    // Report the position in the whole expression
+                    throw error instanceof KWM_ExpressionError ? new KWM_ExpressionError(error.reason, this.source, part.pos + error.position) : error;
+                }
+            });
+            return { type: 'Template', parts, pos: token.pos };
+        }
+        if (token.type === 'Identifier') {
+            this.next();
+            if (token.value in KWM_Expression.literals) {
+                return { type: 'Literal', value: KWM_Expression.literals[token.value], pos: token.pos };
+            }
+            if (token.value === 'this') {
+                return { type: 'This', pos: token.pos };
+            }
+            return { type: 'Identifier', name: token.value, pos: token.pos };
+        }
+        if (this.is('(')) {
+            this.next();
+            const node = this.parseExpression();
+            this.expect(')');
+            return node;
+        }
+        if (this.is('[')) {
+            this.next();
+            const elements = [];
+            while (!this.is(']')) {
+                elements.push(this.parseExpression());
+                if (!this.is(']')) this.expect(',');
+            }
+            this.expect(']');
+            return { type: 'Array', elements, pos: token.pos };
+        }
+        if (this.is('{')) {
+            this.next();
+            const properties = [];
+            while (!this.is('}')) {
+                const keyToken = this.next();
+                if (!['Identifier', 'String', 'Number'].includes(keyToken.type)) {
+                    this.position--;
+                    this.unexpected('expected a property name');
+                }
+                // Shorthand { todo } -> { todo: todo }
+                const value = this.is(':') ?
+                    (this.next(), this.parseExpression()) :
+                    { type: 'Identifier', name: keyToken.value, pos: keyToken.pos };
+                properties.push({ key: String(keyToken.value), value });
+                if (!this.is('}')) this.expect(',');
+            }
+            this.expect('}');
+            return { type: 'Object', properties, pos: token.pos };
+        }
+
+        this.unexpected();
+    }
+
+    /**
+     * Moves the positions of all nodes (e.g. of an expression inside of a template string) by an offset
+     * @returns {object} the node
+     */
+    static offsetPositions(node, offset) {
+        if (node && typeof node === 'object') {
+            if (typeof node.pos === 'number') node.pos += offset;
+            if (typeof node.start === 'number') node.start += offset;
+            Object.values(node).forEach(child => Array.isArray(child) ?
+                child.forEach(item => KWM_Expression.offsetPositions(item && !item.type && 'key' in item ? item.value : item, offset)) :
+                KWM_Expression.offsetPositions(child, offset));
+        }
+        return node;
+    }
+
+    /* ----------------------------------------------------------------------------------------------------------------
+     * Interpreter
+     * ------------------------------------------------------------------------------------------------------------- */
+
+    // Result of an optional chain that was cut short (a?.b.c with a === null) -> undefined
+    static SHORT_CIRCUIT = Symbol('short-circuit');
+
+    // Variables are looked up in the scope, then in the properties of `this`, then in the globals
+    hasVariable(name, env) {
+        return name in env.scope || KWM_Expression.hasProperty(env.context, name) || name in KWM_Expression.globals;
+    }
+
+    getVariable(node, env) {
+        if (node.name in env.scope) {
+            return env.scope[node.name];
+        }
+        if (KWM_Expression.hasProperty(env.context, node.name)) {
+            return env.context[node.name];
+        }
+        if (node.name in KWM_Expression.globals) {
+            return KWM_Expression.globals[node.name];
+        }
+        throw new KWM_ExpressionError(`"${node.name}" is not defined`, this.source, node.pos);
+    }
+
+    static hasProperty(object, name) {
+        return object !== null && (typeof object === 'object' || typeof object === 'function') && name in object;
+    }
+
+    evaluateNode(node, env) {
+        const value = this.evaluateChain(node, env);
+        return value === KWM_Expression.SHORT_CIRCUIT ? undefined : value;
+    }
+
+    // Evaluates member / call chains - may return SHORT_CIRCUIT
+    evaluateChain(node, env) {
+        switch (node.type) {
+            case 'Member': {
+                const object = this.evaluateChain(node.object, env);
+                if (object === KWM_Expression.SHORT_CIRCUIT || (node.optional && (object === null || object === undefined))) {
+                    return KWM_Expression.SHORT_CIRCUIT;
+                }
+                const property = node.computed ? this.evaluateNode(node.property, env) : node.property;
+                if (object === null || object === undefined) {
+                    throw new KWM_ExpressionError(`Cannot read property "${String(property)}" of ${object}`, this.source, node.pos);
+                }
+                return object[property];
+            }
+            case 'Call': {
+                let thisArg;
+                let fn;
+                if (node.callee.type === 'Member') {
+                    thisArg = this.evaluateChain(node.callee.object, env);
+                    if (thisArg === KWM_Expression.SHORT_CIRCUIT || (node.callee.optional && (thisArg === null || thisArg === undefined))) {
+                        return KWM_Expression.SHORT_CIRCUIT;
+                    }
+                    const property = node.callee.computed ? this.evaluateNode(node.callee.property, env) : node.callee.property;
+                    if (thisArg === null || thisArg === undefined) {
+                        throw new KWM_ExpressionError(`Cannot read property "${String(property)}" of ${thisArg}`, this.source, node.callee.pos);
+                    }
+                    fn = thisArg[property];
+                } else {
+                    fn = this.evaluateChain(node.callee, env);
+                    if (fn === KWM_Expression.SHORT_CIRCUIT) {
+                        return fn;
+                    }
+                }
+                if (node.optional && (fn === null || fn === undefined)) {
+                    return KWM_Expression.SHORT_CIRCUIT;
+                }
+                if (typeof fn !== 'function') {
+                    throw new KWM_ExpressionError(`"${this.source.slice(node.start, node.pos).replace(/\?\.$/, '').trim()}" is not a function`, this.source, node.pos);
+                }
+                return fn.apply(thisArg, node.args.map(arg => this.evaluateNode(arg, env)));
+            }
+            default:
+                return this.evaluateOther(node, env);
+        }
+    }
+
+    evaluateOther(node, env) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+            case 'This':
+                return env.context;
+            case 'Identifier':
+                return this.getVariable(node, env);
+            case 'Template':
+                return node.parts.map(part => typeof part === 'string' ? part : String(this.evaluateNode(part, env))).join('');
+            case 'Array':
+                return node.elements.map(element => this.evaluateNode(element, env));
+            case 'Object':
+                return Object.fromEntries(node.properties.map(({ key, value }) => [key, this.evaluateNode(value, env)]));
+            case 'Unary': {
+                const argument = this.evaluateNode(node.argument, env);
+                switch (node.operator) {
+                    case '!': return !argument;
+                    case '-': return -argument;
+                    case '+': return +argument;
+                    case 'typeof': return typeof argument;
+                }
+                break;
+            }
+            case 'Logical': {
+                const left = this.evaluateNode(node.left, env);
+                switch (node.operator) {
+                    case '&&': return left && this.evaluateNode(node.right, env);
+                    case '||': return left || this.evaluateNode(node.right, env);
+                    case '??': return left ?? this.evaluateNode(node.right, env);
+                }
+                break;
+            }
+            case 'Binary':
+                return KWM_Expression.applyOperator(node.operator, this.evaluateNode(node.left, env), this.evaluateNode(node.right, env));
+            case 'Conditional':
+                return this.evaluateNode(node.test, env) ? this.evaluateNode(node.consequent, env) : this.evaluateNode(node.alternate, env);
+            case 'Arrow':
+                return (...args) => this.evaluateNode(node.body, {
+                    context: env.context,
+                    scope: { ...env.scope, ...Object.fromEntries(node.params.map((param, i) => [param, args[i]])) },
+                });
+            case 'Assignment':
+                return this.evaluateAssignment(node, env);
+            case 'Sequence':
+                return node.body.reduce((_, expression) => this.evaluateNode(expression, env), undefined);
+        }
+        throw new KWM_ExpressionError(`Unsupported expression "${node.type}"`, this.source, node.pos);
+    }
+
+    evaluateAssignment(node, env) {
+        const { target } = node;
+        let object;
+        let property;
+
+        if (target.type === 'Identifier') {
+            if (!(target.name in env.scope)) {
+                throw new KWM_ExpressionError(`Cannot assign to "${target.name}" - only properties (e.g. "this.${target.name}") and local variables can be assigned`, this.source, target.pos);
+            }
+            object = env.scope;
+            property = target.name;
+        } else {
+            object = this.evaluateNode(target.object, env);
+            property = target.computed ? this.evaluateNode(target.property, env) : target.property;
+            if (object === null || object === undefined) {
+                throw new KWM_ExpressionError(`Cannot set property "${String(property)}" of ${object}`, this.source, target.pos);
+            }
+        }
+
+        const value = this.evaluateNode(node.value, env);
+        object[property] = node.operator === '=' ? value : KWM_Expression.applyOperator(node.operator.slice(0, -1), object[property], value);
+        return object[property];
+    }
+
+    static applyOperator(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+        }
+    }
+}
+
+/**
+ * Error of parsing / evaluating an expression - knows the position in the expression
+ */
+export class KWM_ExpressionError extends Error {
+    /**
+     * @param {string} reason
+     * @param {string} source - the whole expression
+     * @param {number} position - index in the expression
+     */
+    constructor(reason, source, position) {
+        super(`${reason} at position ${position} in expression "${source}"\n    ${source}\n    ${' '.repeat(position)}^`);
+        this.name = 'KWM_ExpressionError';
+        this.reason = reason;
+        this.source = source;
+        this.position = position;
+    }
+}
@@ -0,0 +1,86 @@
+"use strict";
+
+import KWM_Component from './kwm-component.js';
+import KWM_Router from './kwm-router.js';
+
+/**
+ * KWM Link
+ *
+ * A link to a route that knows if it is active.
+ * Renders an <a> with the URL of the slug in the current routing mode ('hash' or 'history').
+ * - class 'active' (or the value of the 'active-class' attribute) when the current slug is the slug of the link or below it
+ * - aria-current="page" when the current slug is exactly the slug of the link
+ * - attribute 'exact' -> only exact matches count as active
+ * - the content of the tag is projected into the link
+ *
+ * @example <kwm-link to="/todo">Todo</kwm-link>
+ * @example <kwm-link to="/todo" exact active-class="is-active">All</kwm-link>
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Link extends KWM_Component {
+
+    static props = {
+        to: { type: String, default: '/' },
+        exact: { type: Boolean },
+        activeClass: { type: String, default: 'active' },
+    };
+
+    constructor() {
+        super();
+        this._unsubscribeRouter = null;
+    }
+
+    onFirstRender() {
+        // Re-render when a router gets initialized and whenever its current slug changes
+        this.track(() => {
+            this.subscribeRouter(KWM_Router.current.value);
+            return () => this.subscribeRouter(null);
+        });
+        this.watch(KWM_Router.current, router => {
+            this.subscribeRouter(router);
+            this.requestRender();
+        });
+    }
+
+    /**
+     * @param {KWM_Router|null} router
+     */
+    subscribeRouter(router) {
+        this._unsubscribeRouter?.();
+        this._unsubscribeRouter = router?.currentSlug.subscribe(() => this.requestRender());
+    }
+
+    /**
+     * Checks if a slug is active in relation to the current slug
+     * @param {string} slug - slug of the link
+     * @param {string|null} currentSlug - slug of the view that is currently displayed
+     * @param {boolean} exact - only exact matches count
+     * @returns {{isActive: boolean, isExact: boolean}}
+     */
+    static getActiveState(slug, currentSlug, exact = false) {
+        const normalize = (s) => s.replace(/\/+$/, '') || '/';
+        if (currentSlug === null) {
+            return { isActive: false, isExact: false };
+        }
+
+        const isExact = normalize(slug) === normalize(currentSlug);
+        const isActive = isExact || (!exact && normalize(slug) !== '/' && normalize(currentSlug).startsWith(normalize(slug) + '/'));
+        return { isActive, isExact };
+    }
+
+    template() {
+        const router = KWM_Router.current.value;
+        const slug = this.props.to.value;
+        const activeClass = this.props.activeClass.value;
+        const { isActive, isExact } = KWM_Link.getActiveState(slug, router?.currentSlug.value ?? null, this.props.exact.value);
+
+        return /*html*/ `
+            <a href="${router ? router.getUrl(slug) : '#' + slug}"
+                class="${isActive ? activeClass : ''}"
+                ${isExact ? 'aria-current="page"' : ''}><kwm-slot></kwm-slot></a>
+        `;
+    }
+}
+
+customElements.define('kwm-link', KWM_Link);
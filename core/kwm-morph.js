@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * KWM Morph
+ *
+ * Patches the live DOM to look like a new HTML template instead of replacing it (innerHTML).
+ * Elements keep their identity -> focus, text selection, scroll positions, open <details> and child component instances survive a re-render.
+ *
+ * - Elements are matched by their id or their tag name (and type of inputs), nodes that are not in the template anymore are removed
+ * - Only attributes that changed in the template are patched -> attributes set at runtime (e.g. by bindings, the user or child components) are kept
+ * - Values of form controls are only set if the value / checked / selected attribute changed in the template -> the input of the user is kept
+ * - The content of custom elements (e.g. child KWM_Components, <kwm-outlet>) and contenteditable elements is not touched - they render it themselves
+ *   (only the content projected into the slots of child components is patched)
+ * - Structural regions of KWM_Bindings (kwm-for / kwm-if) are kept with their rendered items / branch if their template did not change
+ *
+ * @example KWM_Morph.morphChildren(component.renderRoot, component.template(component))
+ *
+ * @author Jakob Osterberger - 2025
+ * @reference inspired by https://github.com/patrick-steele-idem/morphdom and https://github.com/bigskysoftware/idiomorph
+ */
+export default class KWM_Morph {
+
+    /**
+     * Patches the children of an element (or shadow root) to match a HTML string
+     * @param {HTMLElement|ShadowRoot} elem
+     * @param {string} html
+     */
+    static morphChildren(elem, html) {
+        KWM_Morph.patchChildren(elem, KWM_Morph.parse(html));
+    }
+
+    /**
+     * Parses a HTML string into a fragment (without upgrading custom elements)
+     * @param {string} html
+     * @returns {DocumentFragment}
+     */
+    static parse(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content;
+    }
+
+    /**
+     * Patches the child nodes of a live node to match the child nodes of a new (template) node
+     * @param {Node} liveParent
+     * @param {Node} newParent
+     */
+    static patchChildren(liveParent, newParent) {
+        let liveNode = liveParent.firstChild;
+        const coveredNodes = new Set(); // template elements covered by a kept region (e.g. kwm-else-if / kwm-else)
+
+        for (const newNode of [...newParent.childNodes]) {
+            if (coveredNodes.has(newNode)) {
+                continue;
+            }
+
+            // Kept structural region -> jump over its anchors and rendered nodes
+            const regionNodes = liveNode?._kwmRegion?.match(newNode);
+            if (regionNodes) {
+                regionNodes.forEach(node => coveredNodes.add(node));
+                liveNode = KWM_Morph.getNextSibling(liveNode);
+                continue;
+            }
+
+            const match = KWM_Morph.findMatch(liveNode, newNode);
+            if (!match) {
+                liveParent.insertBefore(KWM_Morph.importNode(newNode), liveNode);
+                continue;
+            }
+
+            if (match !== liveNode && newNode.id) {
+                // Element with an id moved -> move it instead of removing the nodes in front of it
+                liveParent.insertBefore(match, liveNode);
+            } else {
+                // Nodes in front of the match are not part of the template anymore
+                while (liveNode !== match) {
+                    liveNode = KWM_Morph.removeNode(liveNode);
+                }
+                liveNode = KWM_Morph.getNextSibling(match);
+            }
+            KWM_Morph.patchNode(match, newNode);
+        }
+
+        while (liveNode) {
+            liveNode = KWM_Morph.removeNode(liveNode);
+        }
+    }
+
+    /**
+     * Finds the live node (at or after the current position) that can be patched to become the new node
+     * @param {Node|null} liveNode
+     * @param {Node} newNode
+     * @returns {Node|null}
+     */
+    static findMatch(liveNode, newNode) {
+        if (newNode.id) {
+            for (let node = liveNode; node; node = KWM_Morph.getNextSibling(node)) {
+                if (node.id === newNode.id && KWM_Morph.isSameNode(node, newNode)) {
+                    return node;
+                }
+            }
+            return null;
+        }
+
+        if (!liveNode || KWM_Morph.isSameNode(liveNode, newNode)) {
+            return liveNode;
+        }
+
+        // The new node was inserted in front of the live node -> no match
+        if (newNode.nextSibling && KWM_Morph.isSameNode(liveNode, newNode.nextSibling)) {
+            return null;
+        }
+
+        // Look ahead -> the live nodes in front of a match were removed from the template
+        for (let node = KWM_Morph.getNextSibling(liveNode); node; node = KWM_Morph.getNextSibling(node)) {
+            if (KWM_Morph.isSameNode(node, newNode)) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks if a live node can be patched to become the new node
+     * @param {Node} liveNode
+     * @param {Node} newNode
+     * @returns {boolean}
+     */
+    static isSameNode(liveNode, newNode) {
+        // Nodes of structural regions (anchors, list items, branches) are never patched
+        if (liveNode.nodeType !== newNode.nodeType || liveNode._kwmRegion || liveNode._kwmListItem || liveNode._kwmBranch) {
+            return false;
+        }
+        if (liveNode.nodeType !== Node.ELEMENT_NODE) {
+            return true;
+        }
+        return liveNode.nodeName === newNode.nodeName &&
+            liveNode.id === newNode.id &&
+            (liveNode.nodeName !== 'INPUT' || liveNode.type === newNode.type);
+    }
+
+    /**
+     * Patches a live node to match a new node of the same type
+     * @param {Node} liveNode
+     * @param {Node} newNode
+     */
+    static patchNode(liveNode, newNode) {
+        if (liveNode.nodeType !== Node.ELEMENT_NODE) {
+            if (liveNode.nodeValue !== newNode.nodeValue) {
+                liveNode.nodeValue = newNode.nodeValue;
+            }
+            return;
+        }
+
+        const changedAttributes = KWM_Morph.patchAttributes(liveNode, newNode);
+        KWM_Morph.patchFormControl(liveNode, newNode, changedAttributes);
+
+        if (liveNode instanceof HTMLTemplateElement) {
+            KWM_Morph.patchChildren(liveNode.content, newNode.content);
+            return;
+        }
+        if (liveNode.nodeName === 'KWM-SLOT') {
+            // Projected content belongs to the parent component, the fallback content is part of the template
+            if (!liveNode._kwmProjected) {
+                KWM_Morph.patchChildren(liveNode, newNode);
+            }
+            return;
+        }
+        if (liveNode.nodeName.includes('-')) {
+            // Child components render themselves - only the content projected into their slots is part of this template
+            liveNode.patchSlotContent?.(newNode);
+            return;
+        }
+        if (liveNode.hasAttribute('kwm-outlet') || KWM_Morph.isContentEditable(liveNode)) {
+            return;
+        }
+        KWM_Morph.patchChildren(liveNode, newNode);
+    }
+
+    /**
+     * @param {HTMLElement} elem
+     * @returns {boolean}
+     */
+    static isContentEditable(elem) {
+        return elem.isContentEditable || (elem.hasAttribute('contenteditable') && elem.getAttribute('contenteditable') !== 'false');
+    }
+
+    /**
+     * Patches the attributes that changed in the template since the last render
+     * (without a previous render: all attributes of the template are set, none are removed)
+     * @param {HTMLElement} liveElem
+     * @param {HTMLElement} newElem
+     * @returns {Set<string>} names of the changed attributes
+     */
+    static patchAttributes(liveElem, newElem) {
+        const previousAttributes = liveElem._kwmTemplateAttributes;
+        const newAttributes = new Map([...newElem.attributes].map(({ name, value }) => [name, value]));
+        const changedAttributes = new Set();
+
+        newAttributes.forEach((value, name) => {
+            const previousValue = previousAttributes ? previousAttributes.get(name) : liveElem.getAttribute(name);
+            if (previousValue !== value) {
+                KWM_Morph.copyAttribute(liveElem, newElem, name);
+                changedAttributes.add(name);
+            }
+        });
+        previousAttributes?.forEach((value, name) => {
+            if (!newAttributes.has(name)) {
+                liveElem.removeAttribute(name);
+                changedAttributes.add(name);
+            }
+        });
+
+        liveElem._kwmTemplateAttributes = newAttributes;
+        return changedAttributes;
+    }
+
+    /**
+     * Copies an attribute of an element to an other element.
+     * Directive names like "@click", "$value" or "kwm-model-value.debounce(200)" are valid in parsed HTML, but setAttribute()
+     * throws an InvalidCharacterError for them -> the parsed attribute node is copied instead.
+     * @param {HTMLElement} targetElem
+     * @param {HTMLElement} sourceElem
+     * @param {string} name
+     */
+    static copyAttribute(targetElem, sourceElem, name) {
+        try {
+            targetElem.setAttribute(name, sourceElem.getAttribute(name));
+        } catch (error) {
+            targetElem.setAttributeNode(sourceElem.getAttributeNode(name).cloneNode());
+        }
+    }
+
+    /**
+     * Sets the value of a form control if it changed in the template
+     * @param {HTMLElement} liveElem
+     * @param {HTMLElement} newElem
+     * @param {Set<string>} changedAttributes
+     */
+    static patchFormControl(liveElem, newElem, changedAttributes) {
+        if (changedAttributes.has('value') && (liveElem.nodeName === 'INPUT' || liveElem.nodeName === 'SELECT')) {
+            liveElem.value = newElem.getAttribute('value') ?? '';
+        }
+        if (changedAttributes.has('checked') && liveElem.nodeName === 'INPUT') {
+            liveElem.checked = newElem.hasAttribute('checked');
+        }
+        if (changedAttributes.has('selected') && liveElem.nodeName === 'OPTION') {
+            liveElem.selected = newElem.hasAttribute('selected');
+        }
+    }
+
+    /**
+     * Imports a new node into the document (child components are upgraded).
+     * Structural elements remember their template -> a region of KWM_Bindings can be compared with the template of the next render
+     * (their live outerHTML also contains the content rendered by child components)
+     * @param {Node} newNode
+     * @returns {Node}
+     */
+    static importNode(newNode) {
+        const node = document.importNode(newNode, true);
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return node;
+        }
+
+        const selector = '[kwm-for], [kwm-if], [kwm-else-if], [kwm-else]';
+        const newElems = [newNode, ...newNode.querySelectorAll(selector)].filter(elem => elem.matches(selector));
+        const liveElems = [node, ...node.querySelectorAll(selector)].filter(elem => elem.matches(selector));
+        liveElems.forEach((elem, i) => elem._kwmTemplateHtml = newElems[i].outerHTML);
+        return node;
+    }
+
+    /**
+     * Next sibling of a node - a structural region counts as one node
+     * @param {Node} node
+     * @returns {Node|null}
+     */
+    static getNextSibling(node) {
+        return (node._kwmRegion?.endAnchor ?? node).nextSibling;
+    }
+
+    /**
+     * Removes a node (or a whole structural region)
+     * @param {Node} node
+     * @returns {Node|null} next sibling
+     */
+    static removeNode(node) {
+        const nextSibling = KWM_Morph.getNextSibling(node);
+        while (node && node !== nextSibling) {
+            const next = node.nextSibling;
+            node.remove();
+            node = next;
+        }
+        return nextSibling;
+    }
+}
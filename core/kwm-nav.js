@@ -0,0 +1,61 @@
+"use strict";
+
+import KWM_Component from './kwm-component.js';
+import KWM_Router from './kwm-router.js';
+import './kwm-link.js';
+
+/**
+ * KWM Nav
+ *
+ * Navigation generated from the route table of the router - every route with `showInNav: true` becomes a <kwm-link>.
+ * Routes and navigation can not drift apart anymore.
+ *
+ * @example <kwm-nav></kwm-nav> // top level routes
+ * @example <kwm-nav parent="/todo"></kwm-nav> // child routes of the route with the slug '/todo' (the index route links exact)
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Nav extends KWM_Component {
+
+    static props = {
+        parent: { type: String, default: null }, // slug of the parent route - top level routes if not set
+    };
+
+    onFirstRender() {
+        // Render the routes as soon as a router gets initialized
+        this.watch(KWM_Router.current, () => this.requestRender());
+    }
+
+    /**
+     * Get the routes of the navigation
+     * @param {KWM_Router|null} router
+     * @returns {KWM_Route[]}
+     */
+    getRoutes(router) {
+        if (!router) {
+            return [];
+        }
+        const parentSlug = this.props.parent.value;
+        if (parentSlug === null) {
+            return router.getNavRoutes();
+        }
+
+        const parent = router.resolve(parentSlug)?.matched.find(route => route.slug === parentSlug);
+        return parent ? router.getNavRoutes(parent.children) : [];
+    }
+
+    template() {
+        const routes = this.getRoutes(KWM_Router.current.value);
+        const parentSlug = this.props.parent.value;
+
+        return /*html*/ `
+            <ul>
+                ${routes.map(route => /*html*/ `
+                    <li><kwm-link to="${route.slug}" ${route.slug === parentSlug ? 'exact' : ''}>${route.name}</kwm-link></li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
+
+customElements.define('kwm-nav', KWM_Nav);
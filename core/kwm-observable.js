@@ -1,9 +1,14 @@
 'use strict';
 
+import KWM_Tracker from './kwm-tracker.js';
+
 /**
  * KWM Observable
  *
  * A object that can be observed for changes. When the value changes, all subscribers are notified.
+ * Reading the value inside of a computed or an effect makes the observable one of their dependencies (see KWM_Tracker).
+ * Subscribers are notified after the change - inside of `batch()` once, after the outermost batch ended.
+ * A value is only set if it is not equal to the current one - `Object.is` by default, configurable with the `equals` option.
  *
  * @example
  * const name = obs("Jeremy");
@@ -14,6 +19,14 @@
  * // logs "Name is: Doreen" to the console
  * // logs "Name is: Doreen Likeness" to the console
  * // logs "Name is: Back to Jeremy" to the console
+ *
+ * @example
+ * const filter = obs({ search: '', done: false }, { equals: 'shallow' });
+ * filter.value = { search: '', done: false }; // equal -> the subscribers are not notified
+ * batch(() => {
+ *     first.value = 'Doreen';
+ *     last.value = 'Likeness';
+ * }); // computeds, effects and subscribers see both changes at once
  * @template T - The type of the value stored in the Observable
  * @author Jakob Osterberger - 2023
  * @reference inspired by https://blog.jeremylikness.com/blog/client-side-javascript-databinding-without-a-framework/
@@ -22,14 +35,129 @@ export default class KWM_Observable extends Set {
 
     /**
      * @param {T} initialValue - Give me the initial value for your Observable
+     * @param {object} [options]
+     * @param {'strict'|'shallow'|'deep'|false|function(T, T): boolean} [options.equals='strict'] - When is a new value equal to the current one
+     * ('strict' = Object.is, 'shallow' = same keys / items, 'deep' = recursively, false = never -> every set notifies)
      */
-    constructor(initialValue) {
+    constructor(initialValue, options = {}) {
         super();
         this._value = initialValue;
+        this._version = 0;                  // Increased on every change -> computeds / effects know if they are outdated
+        this._observers = new Set();        // Computeds / effects that read the value (see KWM_Tracker)
+        this._equals = KWM_Observable.getEqualityFn(options.equals);
+    }
+
+    /**
+     * @param {string|boolean|function} [equals]
+     * @returns {function(any, any): boolean}
+     */
+    static getEqualityFn(equals = 'strict') {
+        if (typeof equals === 'function') {
+            return equals;
+        }
+        switch (equals) {
+            case 'strict': return Object.is;
+            case 'shallow': return KWM_Observable.shallowEqual;
+            case 'deep': return KWM_Observable.deepEqual;
+            case false: return () => false;
+            default:
+                console.error(`KWM_Observable Error: unknown equals option "${equals}" - use 'strict', 'shallow', 'deep', false or a function`);
+                return Object.is;
+        }
+    }
+
+    /**
+     * Compares the own keys of objects / the items of arrays, Maps and Sets with Object.is
+     * @param {any} a
+     * @param {any} b
+     * @returns {boolean}
+     */
+    static shallowEqual(a, b) {
+        return KWM_Observable.compare(a, b, Object.is);
+    }
+
+    /**
+     * Compares objects, arrays, Maps, Sets and Dates recursively
+     * @param {any} a
+     * @param {any} b
+     * @returns {boolean}
+     */
+    static deepEqual(a, b) {
+        const compared = new Map(); // a -> b already being compared -> cyclic references are equal
+        const equals = (a, b) => {
+            if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+                return Object.is(a, b);
+            }
+            if (compared.get(a) === b) {
+                return true;
+            }
+            compared.set(a, b);
+            return KWM_Observable.compare(a, b, equals);
+        };
+        return equals(a, b);
+    }
+
+    /**
+     * Compares two values one level deep - the items are compared with the itemEquals function
+     * @param {any} a
+     * @param {any} b
+     * @param {function(any, any): boolean} itemEquals
+     * @returns {boolean}
+     */
+    static compare(a, b, itemEquals) {
+        if (Object.is(a, b)) {
+            return true;
+        }
+        if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null
+            || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+            return false;
+        }
+        if (a instanceof Date) {
+            return a.getTime() === b.getTime();
+        }
+        if (a instanceof Map) {
+            return a.size === b.size && [...a].every(([key, value]) => b.has(key) && itemEquals(value, b.get(key)));
+        }
+        if (a instanceof Set) {
+            return a.size === b.size && [...a].every(value => b.has(value));
+        }
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.hasOwn(b, key) && itemEquals(a[key], b[key]));
     }
 
+    /**
+     * Notifies the dependants: computeds / effects are marked as outdated, the subscribers are called after the
+     * change (after the outermost batch)
+     */
     notify() {
-        this.forEach(listenerFn => listenerFn(this._value));
+        this._version++;
+        KWM_Tracker.batch(() => {
+            if (this.size > 0) {
+                KWM_Tracker.enqueue(this);
+            }
+            [...this._observers].forEach(observer => observer.markStale(KWM_Tracker.DIRTY));
+        });
+    }
+
+    /**
+     * Calls the subscribers - called by the KWM_Tracker after a change
+     */
+    runReaction() {
+        this.notifyListeners();
+    }
+
+    /**
+     * Calls every subscriber with the current value - a failing subscriber does not stop the others
+     */
+    notifyListeners() {
+        KWM_Tracker.untracked(() => [...this].forEach(listenerFn => {
+            try {
+                listenerFn(this._value);
+            } catch (error) {
+                console.error(`KWM_Observable Error: a subscriber of ${this.constructor.name} failed`, error, listenerFn);
+            }
+        }));
     }
 
     subscribe(listenerFn = (value) => { }) {
@@ -38,17 +166,27 @@ export default class KWM_Observable extends Set {
     }
 
     set(newValue, notifyListeners = true) {
-        if (newValue !== this._value) {
+        if (!KWM_Tracker.untracked(() => this._equals(this._value, newValue))) {
             this._value = newValue;
-            notifyListeners && this.notify();
+            notifyListeners ? this.notify() : this._version++;
         }
     }
 
+    /**
+     * Sets the value returned by the updateFn - it gets the current value
+     * @example count.update(count => count + 1);
+     * @param {function(T): T} updateFn
+     */
+    update(updateFn) {
+        this.set(updateFn(this._value));
+    }
+
     get() {
-        return this._value;
+        return this.value;
     }
 
     get value() {
+        KWM_Tracker.track(this);
         return this._value;
     }
 
@@ -71,5 +209,16 @@ export default class KWM_Observable extends Set {
     }
 }
 
-// Convenience shorthand method
-export const obs = (value) => new KWM_Observable(value);
+// Convenience shorthand methods
+export const obs = (value, options) => new KWM_Observable(value, options);
+
+/**
+ * Runs a function - computeds, effects and subscribers are updated once after it (and after all nested batches)
+ * @example batch(() => {
+ *     todo.text = text;
+ *     todo.completed = false;
+ * });
+ * @param {function} fn
+ * @returns {any} result of the function
+ */
+export const batch = (fn) => KWM_Tracker.batch(fn);
@@ -0,0 +1,436 @@
+'use strict';
+
+import KWM_Observable from './kwm-observable.js';
+import KWM_Computed from './kwm-computed.js';
+import KWM_Tracker from './kwm-tracker.js';
+
+/**
+ * KWM Operators
+ *
+ * Operators derive new observables from observables (e.g. a debounced search term) and convert observables from and to
+ * Promises, async iterators, DOM events and AbortSignals.
+ * - `map` and `combineLatest` return a KWM_Computed -> glitch-free, evaluated lazily
+ * - The other operators return a KWM_OperatorObservable that subscribes to its source right away
+ * Both release their subscriptions with `dispose()` and subscribe again with `restore()` - inside of a component
+ * use `this.own(...)` -> they are disposed while the component is destroyed.
+ *
+ * @example const search = obs('');
+ * const searchTerm = debounce(map(search, value => value.trim().toLowerCase()), 300);
+ * const query = combineLatest({ searchTerm, page }); // { searchTerm: '...', page: 1 }
+ * for await (const value of toAsyncIterator(query, { signal })) { ... }
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Operators {
+
+    /**
+     * Reads the value of a source without tracking it
+     * @param {KWM_Observable|{value: any}} source
+     * @returns {any}
+     */
+    static read(source) {
+        return KWM_Tracker.untracked(() => source.value);
+    }
+
+    /**
+     * Maps every value of the source
+     * @example const count = map(todos, todos => todos.length);
+     * @param {KWM_Observable} source
+     * @param {function(any): any} mapFn
+     * @param {object} [options] - see KWM_Observable (e.g. `{ equals: 'shallow' }`)
+     * @returns {KWM_Computed}
+     */
+    static map(source, mapFn, options = {}) {
+        return new KWM_Computed(() => mapFn(KWM_Operators.read(source)), [source], options);
+    }
+
+    /**
+     * Combines the latest values of several sources - an array of sources gives an array of values, an object of sources
+     * an object of values (or the result of the combineFn)
+     * @example const draft = combineLatest({ title, text });
+     * @example const fullName = combineLatest([first, last], (first, last) => `${first} ${last}`);
+     * @param {KWM_Observable[]|Object<string, KWM_Observable>} sources
+     * @param {function} [combineFn] - gets the values as arguments (array) or as object
+     * @param {object} [options] - see KWM_Observable
+     * @returns {KWM_Computed}
+     */
+    static combineLatest(sources, combineFn = null, options = {}) {
+        if (Array.isArray(sources)) {
+            return new KWM_Computed(() => {
+                const values = sources.map(KWM_Operators.read);
+                return combineFn ? combineFn(...values) : values;
+            }, sources, options);
+        }
+        return new KWM_Computed(() => {
+            const values = Object.fromEntries(Object.entries(sources).map(([key, source]) => [key, KWM_Operators.read(source)]));
+            return combineFn ? combineFn(values) : values;
+        }, Object.values(sources), options);
+    }
+
+    /**
+     * Takes over the values of the source that pass the predicate
+     * @example const validEmail = filter(email, value => value.includes('@'), '');
+     * @param {KWM_Observable} source
+     * @param {function(any): boolean} predicate
+     * @param {any} [initialValue] - value until the first value passed (default: the current value if it passes)
+     * @returns {KWM_OperatorObservable}
+     */
+    static filter(source, predicate, initialValue) {
+        return new KWM_OperatorObservable(initialValue, observable => {
+            const value = KWM_Operators.read(source);
+            if (predicate(value)) {
+                observable.set(value);
+            }
+            return source.subscribe(value => predicate(value) && observable.set(value));
+        });
+    }
+
+    /**
+     * Takes over the values of the source only if they are not equal to the last one
+     * (every observable compares with Object.is - useful with an other equality)
+     * @example const filters = distinctUntilChanged(filterObject, 'deep');
+     * @param {KWM_Observable} source
+     * @param {'strict'|'shallow'|'deep'|function(any, any): boolean} [equals='strict']
+     * @returns {KWM_OperatorObservable}
+     */
+    static distinctUntilChanged(source, equals = 'strict') {
+        return new KWM_OperatorObservable(undefined, observable => {
+            observable.set(KWM_Operators.read(source));
+            return source.subscribe(value => observable.set(value));
+        }, { equals });
+    }
+
+    /**
+     * Accumulates the values of the source (changes after the creation) - like Array.reduce
+     * @example const history = scan(search, (history, value) => [...history, value], []);
+     * @param {KWM_Observable} source
+     * @param {function(any, any): any} reducerFn - gets the accumulated value and the new value of the source
+     * @param {any} seed - initial accumulated value
+     * @returns {KWM_OperatorObservable}
+     */
+    static scan(source, reducerFn, seed) {
+        return new KWM_OperatorObservable(seed, observable => {
+            return source.subscribe(value => observable.set(reducerFn(observable.peek(), value)));
+        });
+    }
+
+    /**
+     * Takes over the value of the source after it did not change for ms milliseconds
+     * @example const searchTerm = debounce(search, 300);
+     * @param {KWM_Observable} source
+     * @param {number} [ms=300]
+     * @returns {KWM_OperatorObservable}
+     */
+    static debounce(source, ms = 300) {
+        return new KWM_OperatorObservable(undefined, observable => {
+            let timeout = null;
+            observable.set(KWM_Operators.read(source));
+            const unsubscribe = source.subscribe(() => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => observable.set(KWM_Operators.read(source)), ms);
+            });
+            return () => {
+                clearTimeout(timeout);
+                unsubscribe();
+            };
+        });
+    }
+
+    /**
+     * Takes over the value of the source at most once every ms milliseconds - the first change right away,
+     * the latest change of the interval at its end
+     * @example const scrollY = throttle(fromEvent(window, 'scroll', () => window.scrollY, 0), 100);
+     * @param {KWM_Observable} source
+     * @param {number} [ms=300]
+     * @returns {KWM_OperatorObservable}
+     */
+    static throttle(source, ms = 300) {
+        return new KWM_OperatorObservable(undefined, observable => {
+            let timeout = null;
+            let isPending = false;
+            const emit = () => {
+                observable.set(KWM_Operators.read(source));
+                timeout = setTimeout(() => {
+                    timeout = null;
+                    if (isPending) {
+                        isPending = false;
+                        emit();
+                    }
+                }, ms);
+            };
+
+            observable.set(KWM_Operators.read(source));
+            const unsubscribe = source.subscribe(() => {
+                if (timeout) {
+                    isPending = true;
+                } else {
+                    emit();
+                }
+            });
+            return () => {
+                clearTimeout(timeout);
+                timeout = null;
+                isPending = false;
+                unsubscribe();
+            };
+        });
+    }
+
+    /**
+     * Resolves with the next value of the source that passes the predicate
+     * @example const search = await toPromise(this.search, search => search.length > 2);
+     * @param {KWM_Observable} source
+     * @param {function(any): boolean} [predicate] - (Optional) default: every change
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - rejects with the abort reason
+     * @returns {Promise<any>}
+     */
+    static toPromise(source, predicate = () => true, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(signal.reason);
+            }
+            const onAbort = () => {
+                unsubscribe();
+                reject(signal.reason);
+            };
+            const unsubscribe = source.subscribe(value => {
+                if (predicate(value)) {
+                    unsubscribe();
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(value);
+                }
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Resolves as soon as the value of the source passes the predicate - right away if the current value does
+     * @example await when(KWM_Router.current, router => router !== null);
+     * @param {KWM_Observable} source
+     * @param {function(any): boolean} [predicate=Boolean]
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<any>}
+     */
+    static when(source, predicate = Boolean, options = {}) {
+        const value = KWM_Operators.read(source);
+        return predicate(value) ? Promise.resolve(value) : KWM_Operators.toPromise(source, predicate, options);
+    }
+
+    /**
+     * Creates an observable that gets the result of a promise.
+     * Its `pending` and `error` observables tell if the promise is settled / why it was rejected.
+     * @example const user = fromPromise(fetch('/api/user').then(response => response.json()), null);
+     * <p kwm-if="user.pending.value">Loading...</p>
+     * @param {Promise<any>} promise
+     * @param {any} [initialValue] - value until the promise is resolved
+     * @returns {KWM_Observable & {pending: KWM_Observable<boolean>, error: KWM_Observable<any>}}
+     */
+    static fromPromise(promise, initialValue) {
+        const observable = new KWM_Observable(initialValue);
+        observable.pending = new KWM_Observable(true);
+        observable.error = new KWM_Observable(null);
+
+        Promise.resolve(promise).then(
+            value => KWM_Tracker.batch(() => {
+                observable.set(value);
+                observable.pending.set(false);
+            }),
+            error => KWM_Tracker.batch(() => {
+                observable.error.set(error);
+                observable.pending.set(false);
+            })
+        );
+        return observable;
+    }
+
+    /**
+     * Iterates over the changes of the source with `for await` (the current value is not part of it) -
+     * changes are buffered while the loop body runs. The iteration ends with `break` or when the signal aborts.
+     * @example for await (const todos of toAsyncIterator(todosObservable, { signal })) { await save(todos); }
+     * @param {KWM_Observable} source
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {AsyncGenerator<any>}
+     */
+    static async *toAsyncIterator(source, { signal } = {}) {
+        const values = [];
+        let wakeUp = null;
+        const unsubscribe = source.subscribe(value => {
+            values.push(value);
+            wakeUp?.();
+        });
+        const onAbort = () => wakeUp?.();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            while (!signal?.aborted) {
+                if (values.length > 0) {
+                    yield values.shift();
+                } else {
+                    await new Promise(resolve => wakeUp = resolve);
+                    wakeUp = null;
+                }
+            }
+        } finally {
+            unsubscribe();
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Creates an observable that takes over the values of an async iterable (e.g. an async generator or a stream).
+     * dispose() ends the iteration - pass a function creating the iterable to start a new iteration on restore()
+     * (e.g. when a component using `this.own(...)` is mounted again). A passed iterable cannot be iterated again.
+     * @example this.ticks = this.own(fromAsyncIterable(() => tickGenerator(), 0));
+     * @param {AsyncIterable<any>|function(): AsyncIterable<any>} iterable - the iterable or a function creating it
+     * @param {any} [initialValue]
+     * @returns {KWM_OperatorObservable} - dispose() stops the iteration
+     */
+    static fromAsyncIterable(iterable, initialValue) {
+        let isUsed = false;
+        return new KWM_OperatorObservable(initialValue, observable => {
+            if (typeof iterable !== 'function' && isUsed) {
+                console.warn('KWM_Operators Warning: an async iterable cannot be iterated again - pass a function creating it', iterable);
+                return;
+            }
+            isUsed = true;
+            const iterator = (typeof iterable === 'function' ? iterable() : iterable)[Symbol.asyncIterator]();
+            let isActive = true;
+            (async () => {
+                for (let result = await iterator.next(); isActive && !result.done; result = await iterator.next()) {
+                    observable.set(result.value);
+                }
+            })().catch(error => console.error('KWM_Operators Error: iterating the async iterable failed', error, iterable));
+
+            return () => {
+                isActive = false;
+                Promise.resolve(iterator.return?.())
+                    .catch(error => console.error('KWM_Operators Error: ending the async iterable failed', error, iterable));
+            };
+        });
+    }
+
+    /**
+     * Creates an observable that gets the (mapped) events of a DOM event target
+     * @example const online = fromEvent(window, ['online', 'offline'], () => navigator.onLine, navigator.onLine);
+     * @param {EventTarget} target
+     * @param {string|string[]} types
+     * @param {function(Event): any} [mapFn] - default: the event
+     * @param {any} [initialValue]
+     * @returns {KWM_OperatorObservable} - dispose() removes the event listener
+     */
+    static fromEvent(target, types, mapFn = event => event, initialValue) {
+        return new KWM_OperatorObservable(initialValue, observable => {
+            const listenerFn = event => observable.set(mapFn(event));
+            [types].flat().forEach(type => target.addEventListener(type, listenerFn));
+            return () => [types].flat().forEach(type => target.removeEventListener(type, listenerFn));
+        });
+    }
+
+    /**
+     * Dispatches a CustomEvent with the value as detail on every change of the source
+     * @example toEvent(this.openTodos, this, 'open-todos-changed');
+     * @param {KWM_Observable} source
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {object} [eventOptions] - e.g. { bubbles: true, composed: true }
+     * @returns {function} unsubscribe
+     */
+    static toEvent(source, target, type, eventOptions = {}) {
+        return source.subscribe(value => target.dispatchEvent(new CustomEvent(type, { ...eventOptions, detail: value })));
+    }
+
+    /**
+     * Creates an observable that is true as soon as the signal is aborted
+     * @example const isCancelled = fromAbortSignal(controller.signal);
+     * @param {AbortSignal} signal
+     * @returns {KWM_OperatorObservable<boolean>}
+     */
+    static fromAbortSignal(signal) {
+        return KWM_Operators.fromEvent(signal, 'abort', () => true, signal.aborted);
+    }
+
+    /**
+     * Creates an AbortSignal that aborts as soon as the value of the source passes the predicate (e.g. to cancel a fetch)
+     * @example fetch(url, { signal: toAbortSignal(this.search, search => search !== requestedSearch) });
+     * @param {KWM_Observable} source
+     * @param {function(any): boolean} [predicate=Boolean]
+     * @returns {AbortSignal}
+     */
+    static toAbortSignal(source, predicate = Boolean) {
+        const controller = new AbortController();
+        KWM_Operators.when(source, predicate).then(value => controller.abort(value));
+        return controller.signal;
+    }
+}
+
+/**
+ * KWM Operator Observable
+ *
+ * Observable whose values come from a source (an other observable, a timer, events, ...).
+ * The connectFn subscribes to the source and returns the function that unsubscribes.
+ */
+export class KWM_OperatorObservable extends KWM_Observable {
+
+    /**
+     * @param {any} initialValue
+     * @param {function(KWM_OperatorObservable): (function|void)} connectFn - returns the disconnect function
+     * @param {object} [options] - see KWM_Observable
+     */
+    constructor(initialValue, connectFn, options = {}) {
+        super(initialValue, options);
+        this._connectFn = connectFn;
+        this._disconnectFn = null;
+        this._isDisposed = false;
+
+        this.connect();
+    }
+
+    connect() {
+        this._disconnectFn = this._connectFn(this) ?? null;
+    }
+
+    /**
+     * Releases the subscriptions of the source - the value is not updated anymore
+     */
+    dispose() {
+        if (this._isDisposed) {
+            return;
+        }
+        this._isDisposed = true;
+        this._disconnectFn?.();
+        this._disconnectFn = null;
+    }
+
+    /**
+     * Subscribes to the source again after it was disposed
+     */
+    restore() {
+        if (!this._isDisposed) {
+            return;
+        }
+        this._isDisposed = false;
+        this.connect();
+    }
+}
+
+// Convenience shorthand methods
+export const map = KWM_Operators.map;
+export const combineLatest = KWM_Operators.combineLatest;
+export const filter = KWM_Operators.filter;
+export const distinctUntilChanged = KWM_Operators.distinctUntilChanged;
+export const scan = KWM_Operators.scan;
+export const debounce = KWM_Operators.debounce;
+export const throttle = KWM_Operators.throttle;
+export const toPromise = KWM_Operators.toPromise;
+export const when = KWM_Operators.when;
+export const fromPromise = KWM_Operators.fromPromise;
+export const toAsyncIterator = KWM_Operators.toAsyncIterator;
+export const fromAsyncIterable = KWM_Operators.fromAsyncIterable;
+export const fromEvent = KWM_Operators.fromEvent;
+export const toEvent = KWM_Operators.toEvent;
+export const fromAbortSignal = KWM_Operators.fromAbortSignal;
+export const toAbortSignal = KWM_Operators.toAbortSignal;
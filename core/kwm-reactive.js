@@ -0,0 +1,406 @@
+'use strict';
+
+import KWM_Observable from './kwm-observable.js';
+import KWM_Computed from './kwm-computed.js';
+import KWM_Tracker from './kwm-tracker.js';
+
+/**
+ * KWM Reactive
+ *
+ * Deep reactive objects, arrays, Maps and Sets - wrapped in a Proxy that can be mutated in place.
+ * - Reads of a property / an index / a key inside of a computed, an effect or a binding expression are tracked
+ * - A mutation only notifies the computeds / effects that read the changed property (adding or removing one notifies
+ *   the ones that iterate over the object e.g. with filter(), Object.keys() or for...of)
+ * - Nested plain objects, arrays, Maps and Sets are wrapped when they are read (class instances e.g. observables are not)
+ * - The same object always gets the same proxy -> items keep their identity (e.g. in kwm-for lists)
+ *
+ * @example const state = reactive({ todos: [] });
+ * effect(() => console.log(state.todos.filter(todo => !todo.completed).length));
+ * state.todos.push({ id: 1, text: 'Learn kwmJS', completed: false }); // logs 1
+ * state.todos[0].completed = true; // logs 0
+ *
+ * @author Jakob Osterberger - 2025
+ * @reference inspired by https://github.com/vuejs/core/tree/main/packages/reactivity
+ */
+export default class KWM_Reactive {
+
+    static RAW = Symbol('kwm-raw');             // proxy[RAW] -> the wrapped object
+    static ITERATE = Symbol('kwm-iterate');     // dependency of iterations (keys are added or removed)
+
+    static proxies = new WeakMap();             // object -> proxy
+    static dependencies = new WeakMap();        // object -> Map: key -> KWM_Observable (only used for its subscribers)
+
+    /**
+     * Wraps an object in a reactive proxy (the same proxy for the same object)
+     * @template T
+     * @param {T} target - plain object, array, Map or Set
+     * @returns {T}
+     */
+    static create(target) {
+        if (!KWM_Reactive.canWrap(target)) {
+            return target;
+        }
+        if (KWM_Reactive.isReactive(target)) {
+            return target;
+        }
+        if (!KWM_Reactive.proxies.has(target)) {
+            const handler = target instanceof Map || target instanceof Set ? KWM_Reactive.collectionHandler : KWM_Reactive.handler;
+            KWM_Reactive.proxies.set(target, new Proxy(target, handler));
+        }
+        return KWM_Reactive.proxies.get(target);
+    }
+
+    /**
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static canWrap(value) {
+        if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+            return false;
+        }
+        const prototype = Object.getPrototypeOf(value);
+        return Array.isArray(value) || value instanceof Map || value instanceof Set || prototype === Object.prototype || prototype === null;
+    }
+
+    /**
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static isReactive(value) {
+        return !!(value && typeof value === 'object' && value[KWM_Reactive.RAW]);
+    }
+
+    /**
+     * Get the wrapped object of a reactive proxy (reads and changes of it are not tracked)
+     * @template T
+     * @param {T} value
+     * @returns {T}
+     */
+    static toRaw(value) {
+        return (value && typeof value === 'object' && value[KWM_Reactive.RAW]) || value;
+    }
+
+    /**
+     * Get the dependency of a key of an object
+     * @param {object} target
+     * @param {any} key
+     * @returns {KWM_Observable}
+     */
+    static getDependency(target, key) {
+        let dependencies = KWM_Reactive.dependencies.get(target);
+        if (!dependencies) {
+            dependencies = new Map();
+            KWM_Reactive.dependencies.set(target, dependencies);
+        }
+        let dependency = dependencies.get(key);
+        if (!dependency) {
+            dependency = new KWM_Observable(undefined);
+            dependencies.set(key, dependency);
+        }
+        return dependency;
+    }
+
+    /**
+     * Tracks the read of a key of an object
+     * @param {object} target
+     * @param {any} key
+     */
+    static track(target, key) {
+        if (KWM_Tracker.activeObserver) {
+            KWM_Tracker.track(KWM_Reactive.getDependency(target, key));
+        }
+    }
+
+    /**
+     * Notifies the subscribers of the changed keys of an object
+     * @param {object} target
+     * @param {any[]} keys
+     */
+    static trigger(target, keys) {
+        const dependencies = KWM_Reactive.dependencies.get(target);
+        if (!dependencies) {
+            return;
+        }
+        KWM_Tracker.batch(() => keys.forEach(key => dependencies.get(key)?.notify()));
+    }
+
+    /**
+     * Checks if a key is an array index
+     * @param {any} key
+     * @returns {boolean}
+     */
+    static isIndex(key) {
+        return typeof key === 'string' && String(Number(key) >>> 0) === key;
+    }
+
+    /* ----------------------------------------------------------------------------------------------------------------
+     * Objects & arrays
+     * ------------------------------------------------------------------------------------------------------------- */
+
+    static handler = {
+        get(target, key, receiver) {
+            if (key === KWM_Reactive.RAW) {
+                return target;
+            }
+            if (Array.isArray(target) && Object.hasOwn(KWM_Reactive.arrayMethods, key)) {
+                return KWM_Reactive.arrayMethods[key];
+            }
+
+            const value = Reflect.get(target, key, receiver);
+            if (typeof key === 'symbol') {
+                return value; // e.g. Symbol.iterator - iterations track the length and the indices
+            }
+            KWM_Reactive.track(target, key);
+
+            // Non-configurable read-only properties have to return their value as it is (Proxy invariant)
+            const descriptor = Object.getOwnPropertyDescriptor(target, key);
+            if (descriptor && !descriptor.configurable && !descriptor.writable) {
+                return value;
+            }
+            return KWM_Reactive.create(value);
+        },
+
+        set(target, key, value, receiver) {
+            const rawValue = KWM_Reactive.toRaw(value);
+            const isArray = Array.isArray(target);
+            const hadKey = isArray && KWM_Reactive.isIndex(key) ? Number(key) < target.length : Object.hasOwn(target, key);
+            const oldValue = target[key];
+            const oldLength = isArray ? target.length : 0;
+
+            const result = Reflect.set(target, key, rawValue, receiver);
+            if (receiver !== KWM_Reactive.proxies.get(target)) {
+                return result; // set on an object that inherits from the proxy
+            }
+
+            const changedKeys = [];
+            if (!hadKey) {
+                changedKeys.push(key, KWM_Reactive.ITERATE);
+            } else if (!Object.is(oldValue, rawValue)) {
+                changedKeys.push(key);
+            }
+            if (isArray && target.length !== oldLength) {
+                changedKeys.push('length', KWM_Reactive.ITERATE);
+                // Shortened by setting the length -> the removed indices changed
+                for (let index = target.length; index < oldLength; index++) {
+                    changedKeys.push(String(index));
+                }
+            }
+            KWM_Reactive.trigger(target, [...new Set(changedKeys)]);
+            return result;
+        },
+
+        deleteProperty(target, key) {
+            const hadKey = Object.hasOwn(target, key);
+            const result = Reflect.deleteProperty(target, key);
+            if (hadKey && result) {
+                KWM_Reactive.trigger(target, [key, KWM_Reactive.ITERATE]);
+            }
+            return result;
+        },
+
+        has(target, key) {
+            if (typeof key !== 'symbol') {
+                KWM_Reactive.track(target, key);
+            }
+            return Reflect.has(target, key);
+        },
+
+        ownKeys(target) {
+            KWM_Reactive.track(target, Array.isArray(target) ? 'length' : KWM_Reactive.ITERATE);
+            return Reflect.ownKeys(target);
+        },
+    };
+
+    /**
+     * Array methods that need special handling - `this` is the proxy
+     */
+    static arrayMethods = (() => {
+        const methods = {};
+
+        // Items are compared by identity -> search for the proxy and for the raw object
+        ['includes', 'indexOf', 'lastIndexOf'].forEach(name => {
+            methods[name] = function (...args) {
+                const result = Array.prototype[name].apply(this, args); // tracks the length and the indices
+                if (result === false || result === -1) {
+                    return Array.prototype[name].apply(KWM_Reactive.toRaw(this), args.map(arg => KWM_Reactive.toRaw(arg)));
+                }
+                return result;
+            };
+        });
+
+        // Mutations notify once when they are done - the length they read is not tracked (an effect that pushes to an array does not depend on it)
+        ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(name => {
+            methods[name] = function (...args) {
+                return KWM_Tracker.batch(() => KWM_Tracker.untracked(() => Array.prototype[name].apply(this, args)));
+            };
+        });
+
+        return methods;
+    })();
+
+    /* ----------------------------------------------------------------------------------------------------------------
+     * Maps & Sets
+     * ------------------------------------------------------------------------------------------------------------- */
+
+    static collectionHandler = {
+        get(target, key) {
+            if (key === KWM_Reactive.RAW) {
+                return target;
+            }
+            if (key === 'size') {
+                KWM_Reactive.track(target, KWM_Reactive.ITERATE);
+                return target.size;
+            }
+            if (Object.hasOwn(KWM_Reactive.collectionMethods, key) && key in target) {
+                return KWM_Reactive.collectionMethods[key];
+            }
+            const value = Reflect.get(target, key, target);
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    };
+
+    /**
+     * Methods of Maps and Sets - `this` is the proxy
+     */
+    static collectionMethods = {
+        get(key) {
+            const target = KWM_Reactive.toRaw(this);
+            key = KWM_Reactive.toRaw(key);
+            KWM_Reactive.track(target, key);
+            return KWM_Reactive.create(target.get(key));
+        },
+
+        has(key) {
+            const target = KWM_Reactive.toRaw(this);
+            key = KWM_Reactive.toRaw(key);
+            KWM_Reactive.track(target, key);
+            return target.has(key);
+        },
+
+        set(key, value) {
+            const target = KWM_Reactive.toRaw(this);
+            key = KWM_Reactive.toRaw(key);
+            value = KWM_Reactive.toRaw(value);
+            const hadKey = target.has(key);
+            const oldValue = target.get(key);
+            target.set(key, value);
+            if (!hadKey) {
+                KWM_Reactive.trigger(target, [key, KWM_Reactive.ITERATE]);
+            } else if (!Object.is(oldValue, value)) {
+                KWM_Reactive.trigger(target, [key]);
+            }
+            return this;
+        },
+
+        add(value) {
+            const target = KWM_Reactive.toRaw(this);
+            value = KWM_Reactive.toRaw(value);
+            if (!target.has(value)) {
+                target.add(value);
+                KWM_Reactive.trigger(target, [value, KWM_Reactive.ITERATE]);
+            }
+            return this;
+        },
+
+        delete(key) {
+            const target = KWM_Reactive.toRaw(this);
+            key = KWM_Reactive.toRaw(key);
+            const result = target.delete(key);
+            if (result) {
+                KWM_Reactive.trigger(target, [key, KWM_Reactive.ITERATE]);
+            }
+            return result;
+        },
+
+        clear() {
+            const target = KWM_Reactive.toRaw(this);
+            const keys = [...target.keys()];
+            target.clear();
+            if (keys.length > 0) {
+                KWM_Reactive.trigger(target, [...keys, KWM_Reactive.ITERATE]);
+            }
+        },
+
+        forEach(callbackFn, thisArg) {
+            const target = KWM_Reactive.toRaw(this);
+            KWM_Reactive.track(target, KWM_Reactive.ITERATE);
+            target.forEach((value, key) => callbackFn.call(thisArg, KWM_Reactive.create(value), KWM_Reactive.create(key), this));
+        },
+
+        keys() {
+            return KWM_Reactive.iterate(this, 'keys', ([key]) => key);
+        },
+
+        values() {
+            return KWM_Reactive.iterate(this, 'values', ([, value]) => value);
+        },
+
+        entries() {
+            return KWM_Reactive.iterate(this, 'entries', entry => entry);
+        },
+
+        [Symbol.iterator]() {
+            const target = KWM_Reactive.toRaw(this);
+            return target instanceof Map ? this.entries() : this.values();
+        },
+    };
+
+    /**
+     * Iterates over a Map / Set - the items are wrapped
+     * @param {Map|Set} proxy
+     * @param {string} method - 'keys', 'values' or 'entries'
+     * @param {function} pick - picks the result from an entry [key, value]
+     * @returns {IterableIterator}
+     */
+    static *iterate(proxy, method, pick) {
+        const target = KWM_Reactive.toRaw(proxy);
+        KWM_Reactive.track(target, KWM_Reactive.ITERATE);
+        for (const [key, value] of target.entries()) {
+            const entry = [KWM_Reactive.create(key), KWM_Reactive.create(value)];
+            yield method === 'entries' ? entry : pick(entry);
+        }
+    }
+
+    /**
+     * Creates an observable for a property of a reactive object - reading and setting its value reads and sets the property
+     * (e.g. for two-way bindings: $value="this.form.name")
+     * @param {object} object - reactive object
+     * @param {string} key
+     * @returns {KWM_PropertyRef}
+     */
+    static toRef(object, key) {
+        return new KWM_PropertyRef(object, key);
+    }
+}
+
+/**
+ * Observable of a property of a reactive object (see KWM_Reactive.toRef)
+ */
+export class KWM_PropertyRef extends KWM_Computed {
+
+    constructor(object, key) {
+        super(() => object[key]);
+        this._object = object;
+        this._key = key;
+    }
+
+    get value() {
+        return super.value;
+    }
+
+    set value(newValue) {
+        this._object[this._key] = newValue;
+    }
+
+    set(newValue) {
+        this._object[this._key] = newValue;
+    }
+}
+
+/**
+ * Convenience shorthand methods
+ */
+export const reactive = (target) => KWM_Reactive.create(target);
+export const isReactive = (value) => KWM_Reactive.isReactive(value);
+export const toRaw = (value) => KWM_Reactive.toRaw(value);
+export const toRef = (object, key) => KWM_Reactive.toRef(object, key);
@@ -6,24 +6,106 @@
  * Hash-based Route for Single Page Applications.
  * Each route has a component that is rendered when the route is active.
  *
+ * Slugs can be static ('/todo') or patterns containing:
+ * - named params '/todo/:id' -> { id: '1712345' }
+ * - optional params '/todo/:filter?' -> matches '/todo' and '/todo/open'
+ * - catch-alls '/docs/*' -> { wildcard: 'guide/intro' } or '/docs/:path*' -> { path: 'guide/intro' }
+ *
  * @param {Object} options - The options for the route.
- * @param {string} options.slug - Give me the slug of the route. This is the part after the '#' in the url.
+ * @param {string} options.slug - Give me the slug (or slug pattern) of the route. This is the part after the '#' in the url.
  * @param {string} options.name - Give me the name of the route. This is the part that is displayed in the navigation.
- * @param {KWM_Component} options.component - Give me the component that is rendered when the route is active.
- * @param {function} options.canRender - (Bonus) A function that is called before the component is rendered. If it returns false, the component will not be rendered.
+ * @param {KWM_Component|function} options.component - Give me the component (instance or class) that is rendered when the route is active.
+ * Or a loader `() => import('./components/TodoComponent.js')` that is resolved (and cached) on the first navigation to the route.
+ * @param {KWM_Component} options.loadingComponent - (optional) Rendered while the loader is pending (overrides the router default)
+ * @param {KWM_Component} options.errorComponent - (optional) Rendered when the loader fails, receives the `error` prop (overrides the router default)
+ * @param {Object} options.meta - (optional) `{ title, titleTemplate, description }` applied by the router on navigation
+ * (title and description may be functions receiving the route params)
+ * @param {boolean} options.showInNav - (optional) Show the route in the navigation generated by the router (`<kwm-nav>`) - default false
+ * @param {function} options.canRender - (Bonus) A function that is called before the component is rendered. If it returns false, the navigation is cancelled.
+ * @param {function} options.beforeEnter - (optional) Guard `(to, from) => result` called before the route is entered
+ * @param {function} options.beforeLeave - (optional) Guard `(to, from) => result` called before the route is left
+ * Guards may return (a promise resolving to) `true`/`undefined` to allow, `false` to cancel or a slug string to redirect.
+ * @param {Object} options.props - (optional) Static props that are passed into the component together with the slug params
+ * @param {KWM_Route[]} options.children - (optional) Nested routes - their slugs are relative to the parent slug ('' = index route).
+ * The child component is rendered into the outlet (`<kwm-outlet></kwm-outlet>`) of the parent component, the parent stays mounted.
  *
  * @author You - 2024
  */
 export default class KWM_Route {
-  constructor({ slug, name, component, canRender }) {
+  constructor({ slug, name, component, loadingComponent, errorComponent, meta, showInNav, canRender, beforeEnter, beforeLeave, props, children }) {
     this.slug = slug;
-    this.component = component;
+    this.relativeSlug = slug; // slug as declared (relative to the parent for child routes)
+    // instance of the component - or the loader until it was loaded (a component class is instantiated, every other function is a loader)
+    this.component = component?.prototype instanceof HTMLElement ? new component() : component;
+    this.loader = this.component instanceof HTMLElement ? null : this.component;
+    this.loadingComponent = loadingComponent;
+    this.errorComponent = errorComponent;
     this.name = name;
+    this.meta = meta ?? {};
+    this.showInNav = showInNav ?? false;
     this.canRender = canRender; // (bonus)
+    this.beforeEnter = beforeEnter;
+    this.beforeLeave = beforeLeave;
+    this.props = props ?? {};
+    this.params = {}; // params parsed from the slug of the last match
+    this.parent = null;
+    this.children = children ?? [];
+
+    this.compile();
+    this.children.forEach((child) => child.setParent(this));
+  }
+
+  // (Re)compiles the slug pattern of the route
+  compile() {
+    const { regex, paramNames } = KWM_Route.compileSlug(this.slug);
+    this.regex = regex;
+    this.paramNames = paramNames;
+  }
+
+  /**
+   * Nests the route below a parent route - the slug becomes '<parent slug>/<relative slug>'
+   * @param {KWM_Route} parent
+   */
+  setParent(parent) {
+    this.parent = parent;
+    this.slug = [parent.slug, this.relativeSlug]
+      .map((slug) => slug.replace(/^\/+|\/+$/g, ""))
+      .filter((slug) => slug !== "")
+      .reduce((slug, segment) => `${slug}/${segment}`, "") || "/";
+    this.compile();
+    this.children.forEach((child) => child.setParent(this));
+  }
+
+  // Components loaded by route loaders - routes sharing the same loader share the same component instance
+  static componentCache = new Map();
+
+  get isLoaded() {
+    return this.component instanceof HTMLElement;
+  }
+
+  /**
+   * Resolves the loader of the route (only once) and instantiates the component
+   * @returns {Promise<KWM_Component>}
+   */
+  async loadComponent() {
+    if (this.isLoaded) return this.component;
+
+    if (!KWM_Route.componentCache.has(this.loader)) {
+      const pending = Promise.resolve(this.loader()).then((result) => {
+        const exported = result?.default ?? result; // module, component class or component instance
+        return exported instanceof HTMLElement ? exported : new exported();
+      });
+      pending.catch(() => KWM_Route.componentCache.delete(this.loader)); // try again on the next navigation
+      KWM_Route.componentCache.set(this.loader, pending);
+    }
+
+    this.component = await KWM_Route.componentCache.get(this.loader);
+    return this.component;
   }
 
+  // ⚠️ Guards (beforeEnter, canRender, ...) are evaluated by the router before the route is displayed
   displayRoute(container) {
-    if (this.canRender && !this.canRender()) return; // (bonus)
+    this.component.setRouteParams?.({ ...this.props, ...this.params });
     this.component.render(container);
   }
 
@@ -33,7 +115,66 @@ export default class KWM_Route {
       .split("?")[0]; // Remove the query parameters '?...'
   }
 
-  isCurrent() {
-    return KWM_Route.getSlugFromHash() === this.slug;
+  /**
+   * Compiles a slug pattern into a regular expression
+   * @param {string} slug - e.g. '/todo/:id', '/todo/:filter?', '/docs/*'
+   * @returns {{regex: RegExp, paramNames: string[]}}
+   */
+  static compileSlug(slug = "") {
+    const paramNames = [];
+    const pattern = slug
+      .split("/")
+      .filter((segment) => segment !== "")
+      .map((segment) => {
+        // catch-all: '*' or ':name*' -> matches the rest of the path (also nothing)
+        if (segment === "*" || /^:\w+\*$/.test(segment)) {
+          paramNames.push(segment === "*" ? "wildcard" : segment.slice(1, -1));
+          return "(?:/(.*))?";
+        }
+        // optional param: ':name?'
+        if (/^:\w+\?$/.test(segment)) {
+          paramNames.push(segment.slice(1, -1));
+          return "(?:/([^/]+))?";
+        }
+        // named param: ':name'
+        if (/^:\w+$/.test(segment)) {
+          paramNames.push(segment.slice(1));
+          return "/([^/]+)";
+        }
+        // static segment
+        return "/" + segment.replace(/[.+?^${}()|[\]\\*]/g, "\\$&");
+      })
+      .join("");
+
+    return { regex: new RegExp(`^${pattern}/?$`), paramNames };
+  }
+
+  /**
+   * Matches a slug against the slug pattern of the route
+   * @param {string} slug
+   * @returns {Object|null} the parsed params or null if the slug does not match
+   */
+  match(slug) {
+    const result = this.regex.exec(slug);
+    if (!result) return null;
+
+    try {
+      return this.paramNames.reduce((params, paramName, i) => {
+        const value = result[i + 1];
+        params[paramName] = value !== undefined ? decodeURIComponent(value) : undefined;
+        return params;
+      }, {});
+    } catch (error) {
+      // malformed escape sequence (e.g. '%E0') -> the slug does not match (the router shows the 404 route)
+      return null;
+    }
+  }
+
+  isCurrent(slug = KWM_Route.getSlugFromHash()) {
+    const params = this.match(slug);
+    if (!params) return false;
+
+    this.params = params;
+    return true;
   }
 }
@@ -1,59 +1,572 @@
 "use strict";
 
+import KWM_Route from "./kwm-route.js";
+import KWM_Observable from "./kwm-observable.js";
+
 /**
  * KWM_Router
  *
- * = The Navigator - a Hash-based router for Single Page Applications.
- * Handles Routes behind a '/#/' to your convenience.
+ * = The Navigator - a router for Single Page Applications.
+ * Handles Routes behind a '/#/' (mode 'hash') or clean URLs via the History API (mode 'history') to your convenience.
  * Renders the active route into the specified container.
  *
+ * ⚠️ In 'history' mode the web server has to answer every URL below the base path with the index.html
+ *
  * @param {Object} options - The options for the router.
  * @param {HTMLElement} options.container - Give me the container where the views are rendered into
  * @param {Array} options.routes - Give me all the routes you have in your application
  * @param {string} options.slugHome - Default slug for first page load
  * @param {string} options.slugNotFound - Default slug when unknown slug is put into URL
+ * @param {'hash'|'history'} options.mode - (optional) Routing mode - default 'hash'
+ * @param {string} options.base - (optional) Base path of the application in 'history' mode e.g. '/my-app' - default '/'
+ * @param {KWM_Component} options.loadingComponent - (optional) Rendered while a lazy route component is loaded
+ * @param {KWM_Component} options.errorComponent - (optional) Rendered when loading a lazy route component failed
+ * @param {string} options.titleTemplate - (optional) Template for the document title, '%s' is replaced by the title of the route - default '%s | <initial document title>'
+ *
+ * On every view change the router
+ * - sets the document title and description from the `meta` of the route
+ * - restores the scroll position of history entries (back / forward) or scrolls new ones to the top
+ * - moves the focus to the main heading of the new view and announces it in a live region (accessibility)
+ *
+ * Navigation guards: `router.beforeEach((to, from) => ...)` runs before and `router.afterEach((to, from) => ...)`
+ * after every view change. `to` and `from` look like `{ slug, route, params }`.
+ * Guards may return (a promise resolving to) `true`/`undefined` to allow, `false` to cancel or a slug string to redirect.
+ * Order: from.route.beforeLeave -> beforeEach hooks -> to.route.beforeEnter -> to.route.canRender
  *
  * @author You - 2024
  */
 export default class KWM_Router {
-  constructor({ container, routes, slugHome, slugNotFound }) {
+  constructor({ container, routes, slugHome, slugNotFound, mode, base, loadingComponent, errorComponent, titleTemplate }) {
     this.routes = routes;
     this.slugHome = slugHome ?? "/";
     this.slugNotFound = slugNotFound ?? "/404";
     this.container = container;
-    this.activeRoute = null;
+    this.activeRoute = new KWM_Observable(null); // deepest route of the view that is currently displayed
+    this.mode = mode ?? "hash";
+    this.loadingComponent = loadingComponent;
+    this.errorComponent = errorComponent;
+    this.base = (base ?? "/").replace(/\/+$/, ""); // '/my-app/' -> '/my-app', '/' -> ''
+    this._defaultTitle = document.title;
+    this.titleTemplate = titleTemplate ?? `%s | ${this._defaultTitle}`;
+
+    this._beforeEachHooks = [];
+    this._afterEachHooks = [];
+    this._navigationId = 0; // increases with every navigation -> detects outdated (overtaken) async navigations
+    this._redirectCount = 0; // protects from endless guard redirect loops
+    this._currentUrl = null; // URL of the view that is currently displayed
+    this.currentSlug = new KWM_Observable(null); // slug of the view that is currently displayed
+    this._matched = []; // routes (root -> deepest) of the view that is currently displayed
+    this._queryBindings = new Set(); // observables synced with query parameters - see bindQueryParam()
+    this._scrollPositions = new Map(); // key of history entry -> { x, y }
+    this._currentHistoryKey = null; // key of the history entry of the view that is currently displayed
+    this._liveRegion = null; // announces view changes to screen readers
   }
 
+  static MAX_REDIRECTS = 10;
+
+  // The router that was initialized last - used by the static redirect() and the navigation components
+  static current = new KWM_Observable(null);
+
   init() {
-    window.addEventListener("hashchange", this.changeView.bind(this));
+    KWM_Router.current.value = this;
+    history.scrollRestoration = "manual"; // the router restores the scroll positions itself
+
+    if (this.mode === "history") {
+      window.addEventListener("popstate", this.changeView.bind(this));
+      document.addEventListener("click", this.handleLinkClick.bind(this));
+    } else {
+      window.addEventListener("hashchange", this.changeView.bind(this));
+    }
     this.changeView();
   }
 
   // forwards the user to the route / page of the application with the specified slug
   // (like clicking on a link in the browser)
   static redirect(slug = "") {
+    if (KWM_Router.current.value) {
+      KWM_Router.current.value.navigate(slug);
+      return;
+    }
     location.hash = slug;
   }
 
-  changeView() {
-    // if hash is only '' or '#' forward to home route
-    if (/^$|^#$/.test(location.hash)) {
-      KWM_Router.redirect(this.slugHome);
+  /**
+   * Registers a guard that runs before every navigation
+   * @param {function} guardFn - `(to, from) => boolean|string|void|Promise`
+   * @returns {function} unregister
+   */
+  beforeEach(guardFn) {
+    this._beforeEachHooks.push(guardFn);
+    return () => (this._beforeEachHooks = this._beforeEachHooks.filter((fn) => fn !== guardFn));
+  }
+
+  /**
+   * Registers a hook that runs after every navigation (after the view was rendered)
+   * @param {function} hookFn - `(to, from) => void`
+   * @returns {function} unregister
+   */
+  afterEach(hookFn) {
+    this._afterEachHooks.push(hookFn);
+    return () => (this._afterEachHooks = this._afterEachHooks.filter((fn) => fn !== hookFn));
+  }
+
+  /**
+   * Get the routes that are flagged to be shown in the navigation (`showInNav`)
+   * @param {KWM_Route[]} routes - default: the top level routes, pass `route.children` for a sub navigation
+   * @returns {KWM_Route[]}
+   */
+  getNavRoutes(routes = this.routes) {
+    return routes.filter((route) => route.showInNav);
+  }
+
+  /**
+   * Navigates to the route with the specified slug
+   * @param {string} slug - e.g. '/todo' or '/todo/1712345?filter=open'
+   * @param {Object} options
+   * @param {boolean} options.replace - replace the current history entry instead of pushing a new one
+   */
+  navigate(slug = "", { replace = false } = {}) {
+    if (this.mode === "history") {
+      history[replace ? "replaceState" : "pushState"](null, "", this.getUrl(slug));
+      return this.changeView(); // pushState & replaceState do not trigger a popstate event
+    }
+
+    if (replace) {
+      location.replace("#" + slug);
+    } else {
+      location.hash = slug;
+    }
+  }
+
+  /**
+   * Get the URL of a slug in the current routing mode
+   * @param {string} slug - e.g. '/todo'
+   * @returns {string} e.g. '#/todo' (hash) or '/my-app/todo' (history)
+   */
+  getUrl(slug = "") {
+    return this.mode === "history" ? this.base + slug : "#" + slug;
+  }
+
+  // Checks if a path is inside of the base path - base '/app' contains '/app' and '/app/todo', but not '/application'
+  isInBase(path) {
+    return path === this.base || path.startsWith(this.base + "/");
+  }
+
+  // Get the slug of the current URL (without base path and query parameters)
+  getCurrentSlug() {
+    if (this.mode === "history") {
+      const path = location.pathname;
+      return this.isInBase(path) ? path.slice(this.base.length) : path;
+    }
+    return KWM_Route.getSlugFromHash();
+  }
+
+  /**
+   * Intercepts clicks on same-origin links in 'history' mode and navigates without reloading the page.
+   * Links written as '#/slug' are handled as well, so templates work in both modes.
+   * Links to files (e.g. '/docs/file.pdf') and links with rel="external" are loaded by the browser.
+   * @param {MouseEvent} event
+   */
+  handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.composedPath?.().find((elem) => elem.tagName === "A") ?? event.target.closest?.("a");
+    if (!link || !link.hasAttribute("href") || link.hasAttribute("download") || link.relList.contains("external") || (link.target && link.target !== "_self")) {
+      return;
+    }
+
+    const href = link.getAttribute("href");
+    let slug;
+    if (href.startsWith("#/")) {
+      slug = href.slice(1);
+    } else {
+      const url = new URL(link.href, location.href);
+      if (url.origin !== location.origin || !this.isInBase(url.pathname)) return;
+      if (url.pathname === location.pathname && url.search === location.search && url.hash) return; // in-page anchor
+      if (/\.[^/.]+$/.test(url.pathname)) return; // file (e.g. '/favicon.ico') -> not a route of the app
+      slug = url.pathname.slice(this.base.length) + url.search;
+    }
+
+    event.preventDefault();
+    this.navigate(slug);
+  }
+
+  /**
+   * Find the route matching a slug - nested routes are searched depth-first
+   * @param {string} slug
+   * @param {KWM_Route[]} routes
+   * @returns {{slug: string, route: KWM_Route, params: Object, matched: KWM_Route[]}|null}
+   * `route` is the deepest matching route, `matched` contains all routes from the root to it
+   */
+  resolve(slug, routes = this.routes) {
+    for (const route of routes) {
+      const childResult = this.resolve(slug, route.children);
+      if (childResult) return { ...childResult, matched: [route, ...childResult.matched] };
+
+      const params = route.match(slug);
+      if (params) return { slug, route, params, matched: [route] };
+    }
+    return null;
+  }
+
+  /**
+   * Runs all guards of a navigation one after another until one does not allow the navigation.
+   * beforeLeave runs for every route that is left, beforeEnter for every route that is entered
+   * (the deepest route always counts as left / entered, parents shared by both navigations do not)
+   * @param {Object} to
+   * @param {Object|null} from
+   * @returns {Promise<boolean|string>} true (allow), false (cancel) or a slug to redirect to
+   */
+  async runGuards(to, from) {
+    const leaving = (from?.matched ?? []).filter((route) => route === from.route || !to.matched.includes(route));
+    const entering = to.matched.filter((route) => route === to.route || !from?.matched.includes(route));
+
+    const guards = [
+      ...leaving.reverse().map((route) => route.beforeLeave),
+      ...this._beforeEachHooks,
+      ...entering.map((route) => route.beforeEnter),
+      to.route.canRender && (() => to.route.canRender()), // (bonus) legacy guard
+    ].filter(Boolean);
+
+    for (const guard of guards) {
+      try {
+        const result = await guard(to, from);
+        if (result === false || typeof result === "string") return result;
+      } catch (error) {
+        console.error(`Navigation to '${to.slug}' cancelled - a guard threw an error`, error);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async changeView() {
+    const slug = this.getCurrentSlug();
+
+    // if slug is empty ('', '#' or the bare base path) forward to home route
+    if (/^$|^#$/.test(slug)) {
+      this.navigate(this.slugHome, { replace: this.mode === "history" });
+      return;
+    }
+
+    // URL did not change (e.g. after restoring the URL of a cancelled navigation)
+    if (this.activeRoute.value && location.href === this._currentUrl) return;
+
+    // only the query parameters changed -> keep the view, update the bound observables
+    if (this.activeRoute.value && slug === this.currentSlug.value) {
+      this._currentUrl = location.href;
+      this.syncQueryParams();
+      return;
+    }
+
+    this.saveScrollPosition();
+    const to = this.resolve(slug);
+
+    // if no route found redirect to 404
+    if (!to) {
+      console.error(`Page '${slug}' could not be found`);
+      this.navigate(this.slugNotFound, { replace: this.mode === "history" });
+      return;
+    }
+
+    const activeRoute = this.activeRoute.value;
+    const from = activeRoute
+      ? { slug: this.currentSlug.value, route: activeRoute, params: activeRoute.params, matched: this._matched }
+      : null;
+    // only a real view change starts a new navigation -> query updates / duplicate events do not cancel a pending one
+    const navigationId = ++this._navigationId;
+    const result = await this.runGuards(to, from);
+
+    // a newer navigation started while the guards were running
+    if (navigationId !== this._navigationId) return;
+
+    // cancel -> keep the current view and restore its URL
+    if (result === false) {
+      if (this._currentUrl) history.replaceState(history.state, "", this._currentUrl);
+      this._redirectCount = 0;
+      return;
+    }
+
+    // redirect -> replace the URL of the cancelled navigation
+    if (typeof result === "string") {
+      if (++this._redirectCount > KWM_Router.MAX_REDIRECTS) {
+        console.error(`Navigation to '${slug}' cancelled - too many guard redirects`);
+        this._redirectCount = 0;
+        return;
+      }
+      this.navigate(result, { replace: true });
       return;
     }
 
     // Handle view change
     // activate current route
-    this.activeRoute = this.routes.find((route) => route.isCurrent());
-    if (this.activeRoute) {
-      this.activeRoute.displayRoute(this.container);
+    this._redirectCount = 0;
+    this._currentUrl = location.href;
+    // called by event listeners -> errors are logged instead of ending as unhandled rejections
+    try {
+      this.activeRoute.value = to.route;
+      this.currentSlug.value = slug;
+      this.syncQueryParams();
+      await this.displayMatched(to.matched, to.params, navigationId);
+      if (navigationId !== this._navigationId) return;
+
+      const title = this.applyMeta(to);
+      this.restoreScrollPosition();
+      if (from) this.focusView(to, title); // not on the first page load
+    } catch (error) {
+      console.error(`Page '${slug}' could not be displayed`, error);
+      return;
     }
 
-    // if no route found redirect to 404
-    else {
-      console.error(`Page '${location.hash}' could not be found`);
-      KWM_Router.redirect(this.slugNotFound);
+    this._afterEachHooks.forEach((hookFn) => {
+      try {
+        hookFn(to, from);
+      } catch (error) {
+        console.error(`An afterEach hook failed after the navigation to '${slug}'`, error);
+      }
+    });
+  }
+
+  /**
+   * Displays nested routes - every route is rendered into the outlet of its parent component.
+   * Parents that were already displayed stay mounted and only receive the new params.
+   * Lazy route components are loaded on the way (showing the loading / error component).
+   * @param {KWM_Route[]} matched - routes from the root to the deepest route
+   * @param {Object} params
+   * @param {number} navigationId
+   */
+  async displayMatched(matched, params, navigationId) {
+    const previousMatched = this._matched;
+    this._matched = []; // filled with the levels that are really displayed -> a failed / overtaken load is displayed again next time
+
+    for (const [i, route] of matched.entries()) {
+      route.params = params;
+
+      const isDeepest = i === matched.length - 1;
+      if (!isDeepest && previousMatched[i] === route) {
+        route.component.setRouteParams?.({ ...route.props, ...params });
+        this._matched.push(route);
+        continue;
+      }
+
+      const container = i === 0 ? this.container : matched[i - 1].component.getOutlet?.();
+      if (!container) {
+        console.error(`Route '${route.slug}' could not be displayed - parent component has no <kwm-outlet>`, matched[i - 1].component);
+        return;
+      }
+
+      if (!route.isLoaded) {
+        (route.loadingComponent ?? this.loadingComponent)?.render(container);
+        try {
+          await route.loadComponent();
+        } catch (error) {
+          console.error(`Component of route '${route.slug}' could not be loaded`, error);
+          if (navigationId !== this._navigationId) return;
+
+          const errorComponent = route.errorComponent ?? this.errorComponent;
+          errorComponent?.setRouteParams?.({ error });
+          errorComponent?.render(container);
+          return;
+        }
+        // a newer navigation started while loading
+        if (navigationId !== this._navigationId) return;
+      }
+
+      route.displayRoute(container);
+      this._matched.push(route);
+    }
+  }
+
+  /**
+   * Sets document title and description from the meta of the deepest route that has them.
+   * `meta.title` may be a function receiving the route params e.g. `(params) => 'Todo ' + params.id`
+   * @param {Object} to
+   * @returns {string} the title of the route
+   */
+  applyMeta(to) {
+    const metas = [...to.matched].reverse().map((route) => route.meta);
+    const resolve = (value) => (typeof value === "function" ? value(to.params) : value);
+
+    const title = resolve(metas.find((meta) => meta.title)?.title) ?? to.route.name ?? "";
+    const titleTemplate = metas.find((meta) => meta.titleTemplate)?.titleTemplate ?? this.titleTemplate;
+    document.title = title ? titleTemplate.replace("%s", title) : this._defaultTitle;
+
+    const description = resolve(metas.find((meta) => meta.description)?.description);
+    if (description !== undefined) {
+      let metaElem = document.querySelector('meta[name="description"]');
+      if (!metaElem) {
+        metaElem = document.createElement("meta");
+        metaElem.name = "description";
+        document.head.appendChild(metaElem);
+      }
+      metaElem.content = description;
+    }
+
+    return title;
+  }
+
+  // Key of the current history entry - every entry gets one to remember its scroll position
+  getHistoryKey() {
+    if (!history.state?.kwmKey) {
+      history.replaceState({ ...history.state, kwmKey: `${Date.now()}-${Math.random().toString(36).slice(2)}` }, "");
+    }
+    return history.state.kwmKey;
+  }
+
+  // Saves the scroll position of the view that is currently displayed
+  saveScrollPosition() {
+    if (this._currentHistoryKey) {
+      this._scrollPositions.set(this._currentHistoryKey, { x: window.scrollX, y: window.scrollY });
+    }
+  }
+
+  // Restores the scroll position of a revisited history entry (back / forward) - new entries start at the top
+  restoreScrollPosition() {
+    this._currentHistoryKey = this.getHistoryKey();
+    const { x, y } = this._scrollPositions.get(this._currentHistoryKey) ?? { x: 0, y: 0 };
+    window.scrollTo(x, y);
+  }
+
+  /**
+   * Moves the focus to the main heading of the new view and announces the view change in a live region
+   * @param {Object} to
+   * @param {string} title
+   */
+  focusView(to, title) {
+    const heading = (to.route.component?.renderRoot ?? to.route.component)?.querySelector?.("h1, h2") ?? this.container.querySelector("h1, h2");
+    const focusTarget = heading ?? this.container;
+    if (!focusTarget.hasAttribute("tabindex")) {
+      focusTarget.setAttribute("tabindex", "-1"); // make it focusable without adding it to the tab order
+    }
+    focusTarget.focus({ preventScroll: true });
+
+    if (!this._liveRegion) {
+      this._liveRegion = document.createElement("div");
+      this._liveRegion.setAttribute("aria-live", "polite");
+      this._liveRegion.setAttribute("aria-atomic", "true");
+      this._liveRegion.className = "kwm-visually-hidden";
+      document.body.appendChild(this._liveRegion);
+    }
+    this._liveRegion.textContent = `Navigated to ${title || heading?.textContent.trim() || document.title}`;
+  }
+
+  // Get the query parameters of the current URL in the current routing mode
+  getQueryParams() {
+    if (this.mode === "history") {
+      return new URLSearchParams(location.search);
+    }
+    return new URLSearchParams(location.hash.split("?")[1] ?? "");
+  }
+
+  /**
+   * Writes query parameters into the URL without changing the view
+   * @param {URLSearchParams} params
+   * @param {Object} options
+   * @param {boolean} options.replace - replace the current history entry instead of pushing a new one - default true
+   */
+  setQueryParams(params, { replace = true } = {}) {
+    const query = params.toString() ? "?" + params.toString() : "";
+    const url =
+      this.mode === "history"
+        ? location.pathname + query + location.hash
+        : location.pathname + location.search + "#" + this.getCurrentSlug() + query;
+
+    history[replace ? "replaceState" : "pushState"](history.state, "", url);
+    this._currentUrl = location.href;
+  }
+
+  /**
+   * 2-way-data-binding between an observable and a query parameter of the URL.
+   * - Observable -> URL: changes are written into the URL (a value equal to the initial value removes the parameter)
+   * - URL -> Observable: the value of the URL is parsed on binding and on every navigation (e.g. back / forward)
+   *
+   * @example router.bindQueryParam("search", this.search) // '#/todo?search=milk' <-> this.search.value === 'milk'
+   * @example router.bindQueryParam("tags", this.tags, { type: "array", replace: false }) // '?tags=a&tags=b' <-> ['a', 'b']
+   *
+   * @param {string} name - Name of the query parameter
+   * @param {KWM_Observable} observable
+   * @param {Object} options
+   * @param {'string'|'number'|'boolean'|'array'} options.type - (optional) default: the type of the initial value
+   * @param {'string'|'number'|'boolean'} options.itemType - (optional) type of array items - default: type of the first initial item
+   * @param {boolean} options.replace - replace the history entry on changes instead of pushing a new one - default true
+   * @returns {function} unbind
+   */
+  bindQueryParam(name, observable, { type, itemType, replace = true } = {}) {
+    const defaultValue = observable.value;
+    const binding = {
+      name,
+      observable,
+      defaultValue,
+      type: type ?? KWM_Router.getQueryParamType(defaultValue),
+      itemType: itemType ?? KWM_Router.getQueryParamType(Array.isArray(defaultValue) ? defaultValue[0] : ""),
+    };
+
+    // URL -> Observable
+    binding.sync = () => {
+      const values = this.getQueryParams().getAll(name);
+      const parsedValue = values.length > 0 ? KWM_Router.parseQueryParam(values, binding.type, binding.itemType) : defaultValue;
+      const value = Number.isNaN(parsedValue) ? defaultValue : parsedValue;
+      if (JSON.stringify(value) !== JSON.stringify(observable.value)) {
+        observable.value = value;
+      }
+    };
+
+    // Observable -> URL
+    const unsubscribe = observable.subscribe((value) => {
+      const params = this.getQueryParams();
+      params.delete(name);
+      if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+        (Array.isArray(value) ? value : [value]).forEach((item) => params.append(name, String(item)));
+      }
+      if (params.toString() !== this.getQueryParams().toString()) {
+        this.setQueryParams(params, { replace });
+      }
+    });
+
+    this._queryBindings.add(binding);
+    binding.sync();
+
+    return () => {
+      unsubscribe();
+      this._queryBindings.delete(binding);
+    };
+  }
+
+  // Updates all observables bound to query parameters from the current URL
+  syncQueryParams() {
+    this._queryBindings.forEach((binding) => binding.sync());
+  }
+
+  /**
+   * @param {any} value
+   * @returns {'string'|'number'|'boolean'|'array'}
+   */
+  static getQueryParamType(value) {
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" || typeof value === "boolean") return typeof value;
+    return "string";
+  }
+
+  /**
+   * Parses the (string) values of a query parameter
+   * @param {string[]} values - all values of the parameter e.g. ['a', 'b'] for '?tags=a&tags=b'
+   * @param {'string'|'number'|'boolean'|'array'} type
+   * @param {'string'|'number'|'boolean'} itemType - type of the array items
+   * @returns {any}
+   */
+  static parseQueryParam(values, type, itemType = "string") {
+    const parse = (value, valueType) => {
+      if (valueType === "number") return value.trim() === "" ? NaN : Number(value);
+      if (valueType === "boolean") return !["false", "0", "no", "off"].includes(value.toLowerCase());
+      return value;
+    };
+
+    if (type === "array") {
+      return values.map((value) => parse(value, itemType));
     }
+    return parse(values[values.length - 1], type);
   }
 
   // (Bonus) Get the search/get parameters of the current URL
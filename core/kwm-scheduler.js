@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * KWM Scheduler
+ *
+ * Coalesces the render requests of components into one flush -> a component whose render dependencies change several
+ * times in a row (e.g. a handler that sets three observables) is rendered once.
+ * - The flush runs in a microtask (or before the next paint with `KWM_Scheduler.useAnimationFrame = true`)
+ * - Parents are rendered before their children -> a child that is updated by the render of its parent renders once
+ * - Components that are not in the DOM are skipped - they render when they are connected again
+ *
+ * @example KWM_Scheduler.schedule(component);
+ * await KWM_Scheduler.nextTick(); // the DOM is up to date
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Scheduler {
+
+    static queue = new Set();               // Components waiting for their render
+    static flushPromise = null;             // Resolves after the scheduled flush
+    static useAnimationFrame = false;       // Flush before the next paint instead of in a microtask
+    static maxRendersPerFlush = 100;        // More renders of one component in one flush -> infinite render loop
+
+    /**
+     * Schedules the render of a component
+     * @param {KWM_Component} component
+     * @returns {Promise<void>} resolves after the flush
+     */
+    static schedule(component) {
+        KWM_Scheduler.queue.add(component);
+        return KWM_Scheduler.requestFlush();
+    }
+
+    /**
+     * Removes a component from the queue (e.g. because it was rendered directly)
+     * @param {KWM_Component} component
+     */
+    static cancel(component) {
+        KWM_Scheduler.queue.delete(component);
+    }
+
+    /**
+     * Checks if the render of a component is scheduled
+     * @param {KWM_Component} component
+     * @returns {boolean}
+     */
+    static isScheduled(component) {
+        return KWM_Scheduler.queue.has(component);
+    }
+
+    /**
+     * Waits until all scheduled renders are done
+     * @example await KWM_Scheduler.nextTick();
+     * @example KWM_Scheduler.nextTick(() => this.inputRef.focus());
+     * @param {function} [callbackFn]
+     * @returns {Promise<any>}
+     */
+    static nextTick(callbackFn) {
+        const promise = KWM_Scheduler.flushPromise ?? Promise.resolve();
+        return callbackFn ? promise.then(callbackFn) : promise;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    static requestFlush() {
+        KWM_Scheduler.flushPromise ??= new Promise(resolve => {
+            const run = () => {
+                KWM_Scheduler.flush();
+                KWM_Scheduler.flushPromise = null;
+                resolve();
+            };
+            if (KWM_Scheduler.useAnimationFrame && typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(run);
+            } else {
+                queueMicrotask(run);
+            }
+        });
+        return KWM_Scheduler.flushPromise;
+    }
+
+    /**
+     * Renders the queued components - the outermost first. Renders requested during the flush are part of it.
+     */
+    static flush() {
+        const renderCounts = new Map();
+
+        while (KWM_Scheduler.queue.size > 0) {
+            const component = [...KWM_Scheduler.queue].reduce((outermost, component) =>
+                KWM_Scheduler.getDepth(component) < KWM_Scheduler.getDepth(outermost) ? component : outermost);
+            KWM_Scheduler.queue.delete(component);
+
+            const renderCount = (renderCounts.get(component) ?? 0) + 1;
+            renderCounts.set(component, renderCount);
+            if (renderCount > KWM_Scheduler.maxRendersPerFlush) {
+                console.error(`KWM_Scheduler Error: ${component.constructor.name} requested more than ${KWM_Scheduler.maxRendersPerFlush} renders in one flush - infinite render loop?`, component);
+                continue;
+            }
+
+            try {
+                component.performRender();
+            } catch (error) {
+                // One failing component does not stop the others from rendering
+                console.error(`KWM_Scheduler Error: rendering ${component.constructor.name} failed`, error, component);
+            }
+        }
+    }
+
+    /**
+     * Depth of a node in the DOM (across shadow roots)
+     * @param {Node} node
+     * @returns {number}
+     */
+    static getDepth(node) {
+        let depth = 0;
+        for (let current = node; current; current = current.parentNode ?? current.host) {
+            depth++;
+        }
+        return depth;
+    }
+}
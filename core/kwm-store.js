@@ -0,0 +1,297 @@
+'use strict';
+
+import KWM_Observable from './kwm-observable.js';
+import KWM_Computed from './kwm-computed.js';
+import KWM_Tracker from './kwm-tracker.js';
+import KWM_Reactive from './kwm-reactive.js';
+
+/**
+ * KWM Store
+ *
+ * Central application state that is only changed by named actions.
+ * - The state is a reactive object (see KWM_Reactive) -> bindings, computeds and effects read it directly
+ * - Actions get the state and their arguments - `store.actions.addTodo('Learn kwmJS')` or `store.dispatch('addTodo', ...)`
+ * - Middleware functions run around every action e.g. to log it or to block it (by not calling next)
+ * - Selectors are KWM_Computeds derived from the state
+ * - Every action is an undo step - actions inside of `group()` (or called by an other action) are one step together.
+ *   Actions that throw are rolled back.
+ *
+ * The history stores which objects of the state contained what (not copies of them) -> undo and redo keep the identity
+ * of unchanged objects (e.g. kwm-for only re-creates the <li> of a removed todo).
+ * Changes after an `await` in an async action are not part of its undo step.
+ *
+ * @example const store = new KWM_Store({
+ *     state: { todos: [] },
+ *     actions: {
+ *         addTodo: (state, text) => state.todos.push({ id: Date.now(), text, completed: false }),
+ *     },
+ *     selectors: {
+ *         openTodos: state => state.todos.filter(todo => !todo.completed),
+ *     },
+ *     middleware: [(action, next) => {
+ *         console.log(action.name, action.args);
+ *         return next();
+ *     }],
+ *     historyLimit: 50,
+ * });
+ * store.actions.addTodo('Learn kwmJS');
+ * console.log(store.selectors.openTodos.value.length); // logs 1
+ * store.undo();
+ *
+ * @author Jakob Osterberger - 2025
+ */
+export default class KWM_Store {
+
+    /**
+     * @param {object} options
+     * @param {object} [options.state] - plain data (objects, arrays, Maps, Sets, primitives)
+     * @param {Object<string, function(object, ...any): any>} [options.actions] - name -> (state, ...args) => result
+     * @param {Object<string, function(object): any>} [options.selectors] - name -> state => derived value
+     * @param {function[]} [options.middleware] - (action, next) => next() - action is { name, args, store }
+     * @param {number} [options.historyLimit=100] - max. number of undo steps (0 = no history)
+     */
+    constructor({ state = {}, actions = {}, selectors = {}, middleware = [], historyLimit = 100 } = {}) {
+        this.state = KWM_Reactive.create(state);
+        this.historyLimit = historyLimit;
+        this.canUndo = new KWM_Observable(false);
+        this.canRedo = new KWM_Observable(false);
+
+        this._actionFns = { ...actions };
+        this._middleware = [...middleware];
+        this._undoStack = [];       // { name, snapshot } - the state before the action
+        this._redoStack = [];       // { name, snapshot } - the state before the undo
+        this._groupDepth = 0;
+
+        // store.actions.addTodo(text) -> store.dispatch('addTodo', text)
+        this.actions = Object.fromEntries(Object.keys(this._actionFns).map(name => [name, (...args) => this.dispatch(name, ...args)]));
+        this.selectors = Object.fromEntries(Object.entries(selectors).map(([name, selectorFn]) => [name, this.select(selectorFn)]));
+    }
+
+    /**
+     * Runs an action (through the middleware) - it is one undo step unless it runs inside of an other action / group
+     * @param {string} name
+     * @param {...any} args
+     * @returns {any} result of the action
+     */
+    dispatch(name, ...args) {
+        const actionFn = this._actionFns[name];
+        if (!actionFn) {
+            console.error(`KWM_Store Error: action "${name}" does not exist`, this);
+            return undefined;
+        }
+
+        const action = { name, args, store: this };
+        const next = (index) => index < this._middleware.length
+            ? this._middleware[index](action, () => next(index + 1))
+            : actionFn(this.state, ...args);
+        return this.group(name, () => next(0));
+    }
+
+    /**
+     * Runs a function whose actions are one undo step - computeds, effects and subscribers update once after it.
+     * The state is rolled back if the function throws.
+     * @example store.group('Remove completed', () => completedIds.forEach(id => store.actions.removeTodo(id)));
+     * @param {string} name - name of the undo step
+     * @param {function} fn
+     * @returns {any} result of the function
+     */
+    group(name, fn) {
+        if (this._groupDepth > 0) {
+            return fn();
+        }
+
+        return KWM_Tracker.batch(() => {
+            const snapshot = KWM_Store.createSnapshot(this.state);
+            this._groupDepth++;
+            try {
+                const result = fn();
+                this.record(name, snapshot);
+                return result;
+            } catch (error) {
+                KWM_Store.restoreSnapshot(snapshot);
+                throw error;
+            } finally {
+                this._groupDepth--;
+            }
+        });
+    }
+
+    /**
+     * Adds a middleware function - it runs around every action
+     * @example store.use((action, next) => action.name === 'removeTodo' && !confirm('Remove?') ? undefined : next());
+     * @param {function(object, function): any} middlewareFn - (action, next) => next()
+     * @returns {function} remove
+     */
+    use(middlewareFn) {
+        this._middleware.push(middlewareFn);
+        return () => {
+            this._middleware = this._middleware.filter(fn => fn !== middlewareFn);
+        };
+    }
+
+    /**
+     * Creates a computed derived from the state (dispose it if it is not needed anymore e.g. with `this.own()` in components)
+     * @example this.doneCount = this.own(store.select(state => state.todos.filter(todo => todo.completed).length));
+     * @param {function(object): any} selectorFn
+     * @param {object} [options] - see KWM_Observable (e.g. `{ equals: 'shallow' }`)
+     * @returns {KWM_Computed}
+     */
+    select(selectorFn, options = {}) {
+        return new KWM_Computed(() => selectorFn(this.state), [], options);
+    }
+
+    /**
+     * Releases the selectors of the store (computeds created with `select()` are disposed by their owner)
+     */
+    dispose() {
+        Object.values(this.selectors).forEach(selector => selector.dispose());
+    }
+
+    /**
+     * Names of the actions that can be undone - the last one is undone first
+     * @returns {string[]}
+     */
+    get history() {
+        return this._undoStack.map(entry => entry.name);
+    }
+
+    /**
+     * Reverts the last undo step
+     * @returns {string|null} name of the reverted action / group
+     */
+    undo() {
+        return this.travel(this._undoStack, this._redoStack);
+    }
+
+    /**
+     * Applies the last undone step again
+     * @returns {string|null} name of the applied action / group
+     */
+    redo() {
+        return this.travel(this._redoStack, this._undoStack);
+    }
+
+    /**
+     * Restores the state of the last entry of a stack - the current state is put on the other stack
+     * @param {object[]} fromStack
+     * @param {object[]} toStack
+     * @returns {string|null}
+     */
+    travel(fromStack, toStack) {
+        if (this._groupDepth > 0) {
+            console.error('KWM_Store Error: undo / redo cannot be called inside of an action', this);
+            return null;
+        }
+        const entry = fromStack.pop();
+        if (!entry) {
+            return null;
+        }
+
+        KWM_Tracker.batch(() => {
+            toStack.push({ name: entry.name, snapshot: KWM_Store.createSnapshot(this.state) });
+            KWM_Store.restoreSnapshot(entry.snapshot);
+            this.updateHistoryState();
+        });
+        return entry.name;
+    }
+
+    clearHistory() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this.updateHistoryState();
+    }
+
+    /**
+     * Adds an undo step if the state changed
+     * @param {string} name
+     * @param {Map} snapshot - state before the step
+     */
+    record(name, snapshot) {
+        if (this.historyLimit <= 0 || !KWM_Store.hasChanged(snapshot)) {
+            return;
+        }
+        this._undoStack.push({ name, snapshot });
+        if (this._undoStack.length > this.historyLimit) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+        this.updateHistoryState();
+    }
+
+    updateHistoryState() {
+        this.canUndo.set(this._undoStack.length > 0);
+        this.canRedo.set(this._redoStack.length > 0);
+    }
+
+    /**
+     * Records the contents of every object, array, Map and Set of the state
+     * @param {object} state
+     * @returns {Map<object, object>} raw object -> copy of its contents (nested objects are referenced)
+     */
+    static createSnapshot(state) {
+        const snapshot = new Map();
+        const visit = (value) => {
+            const raw = KWM_Reactive.toRaw(value);
+            if (!KWM_Reactive.canWrap(raw) || snapshot.has(raw)) {
+                return;
+            }
+            const contents = KWM_Store.copyContents(raw);
+            snapshot.set(raw, contents);
+            (raw instanceof Map || raw instanceof Set ? [...raw.values()] : Object.values(contents)).forEach(visit);
+        };
+        visit(state);
+        return snapshot;
+    }
+
+    /**
+     * @param {object} raw - plain object, array, Map or Set
+     * @returns {object}
+     */
+    static copyContents(raw) {
+        if (raw instanceof Map) {
+            return new Map(raw);
+        }
+        if (raw instanceof Set) {
+            return new Set(raw);
+        }
+        if (Array.isArray(raw)) {
+            return [...raw];
+        }
+        return Object.assign(Object.create(Object.getPrototypeOf(raw)), raw);
+    }
+
+    /**
+     * Checks if an object of the snapshot has other contents now
+     * @param {Map<object, object>} snapshot
+     * @returns {boolean}
+     */
+    static hasChanged(snapshot) {
+        return [...snapshot].some(([raw, contents]) => !KWM_Observable.shallowEqual(contents, raw));
+    }
+
+    /**
+     * Writes the recorded contents back into the objects (through their proxies -> only the changed keys notify)
+     * @param {Map<object, object>} snapshot
+     */
+    static restoreSnapshot(snapshot) {
+        snapshot.forEach((contents, raw) => {
+            const proxy = KWM_Reactive.create(raw);
+            if (raw instanceof Map) {
+                [...raw.keys()].filter(key => !contents.has(key)).forEach(key => proxy.delete(key));
+                contents.forEach((value, key) => proxy.set(key, value));
+            } else if (raw instanceof Set) {
+                [...raw].filter(value => !contents.has(value)).forEach(value => proxy.delete(value));
+                contents.forEach(value => proxy.add(value));
+            } else if (Array.isArray(raw)) {
+                proxy.length = contents.length;
+                contents.forEach((value, index) => proxy[index] = value);
+            } else {
+                Object.keys(raw).filter(key => !Object.hasOwn(contents, key)).forEach(key => delete proxy[key]);
+                Object.assign(proxy, contents);
+            }
+        });
+    }
+}
+
+// Convenience shorthand method
+export const createStore = (options) => new KWM_Store(options);
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * KWM Tracker
+ *
+ * Automatic dependency tracking of KWM_Computed and KWM_Effect:
+ * every observable whose value is read while the function of a computed / effect runs becomes one of its sources.
+ * The sources are tracked again on every run -> dependencies behind conditions, locals or nested objects are found.
+ *
+ * Changes are propagated glitch-free in two steps:
+ * 1. A changed observable marks its observers as dirty, their observers as "check" (maybe dirty) - nothing is computed yet
+ * 2. Effects, subscribers and computeds with subscribers run after the change (at the end of the outermost batch).
+ *    Computeds are evaluated lazily when they are read - a "check" computed first brings its sources up to date and
+ *    is only recomputed if one of them really changed -> every effect sees consistent values and runs once per change.
+ *
+ * @author Jakob Osterberger - 2025
+ * @reference inspired by https://github.com/milomg/reactively and https://github.com/preactjs/signals
+ */
+export default class KWM_Tracker {
+
+    // States of observers (computeds / effects)
+    static CLEAN = 0;
+    static CHECK = 1;       // a source of a source changed -> the sources have to be checked
+    static DIRTY = 2;       // a source changed
+
+    static activeObserver = null;       // Computed / effect whose function is running
+    static trackedSources = null;       // Map: observable -> version - read by the active observer
+    static batchDepth = 0;
+    static reactions = new Set();       // Effects and observables / computeds with subscribers waiting to run
+    static isFlushing = false;
+    static maxReactionsPerFlush = 10000; // More reactions in one flush -> infinite loop (e.g. an effect sets a value it reads)
+
+    /**
+     * Registers an observable as source of the active observer - called when its value is read
+     * @param {KWM_Observable} source
+     */
+    static track(source) {
+        const observer = KWM_Tracker.activeObserver;
+        if (observer && observer !== source && !KWM_Tracker.trackedSources.has(source)) {
+            KWM_Tracker.trackedSources.set(source, source._version);
+        }
+    }
+
+    /**
+     * Runs the function of an observer and tracks the observables it reads as its new sources
+     * @param {KWM_Computed|KWM_Effect} observer
+     * @param {function} fn
+     * @returns {any} result of the function
+     */
+    static run(observer, fn) {
+        const previousObserver = KWM_Tracker.activeObserver;
+        const previousTrackedSources = KWM_Tracker.trackedSources;
+        const sources = new Map();
+        KWM_Tracker.activeObserver = observer;
+        KWM_Tracker.trackedSources = sources;
+
+        try {
+            return fn();
+        } finally {
+            KWM_Tracker.activeObserver = previousObserver;
+            KWM_Tracker.trackedSources = previousTrackedSources;
+
+            observer._sources.forEach((version, source) => {
+                if (!sources.has(source)) {
+                    source._observers.delete(observer);
+                }
+            });
+            sources.forEach((version, source) => source._observers.add(observer));
+            observer._sources = sources;
+        }
+    }
+
+    /**
+     * Runs a function without tracking the observables it reads
+     * @example effect(() => console.log(count.value, KWM_Tracker.untracked(() => other.value)))
+     * @param {function} fn
+     * @returns {any}
+     */
+    static untracked(fn) {
+        const previousObserver = KWM_Tracker.activeObserver;
+        KWM_Tracker.activeObserver = null;
+        try {
+            return fn();
+        } finally {
+            KWM_Tracker.activeObserver = previousObserver;
+        }
+    }
+
+    /**
+     * Removes an observer from all of its sources
+     * @param {KWM_Computed|KWM_Effect} observer
+     */
+    static release(observer) {
+        observer._sources.forEach((version, source) => source._observers.delete(observer));
+        observer._sources = new Map();
+        KWM_Tracker.reactions.delete(observer);
+    }
+
+    /**
+     * Checks if a source of an observer changed since its last run (computed sources are brought up to date first).
+     * A source that fails to update counts as changed -> the observer runs and gets the error in its own function.
+     * @param {KWM_Computed|KWM_Effect} observer
+     * @returns {boolean}
+     */
+    static haveSourcesChanged(observer) {
+        for (const [source, version] of observer._sources) {
+            try {
+                source.refresh?.();
+            } catch (error) {
+                return true;
+            }
+            if (source._version !== version) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Runs a function - effects and subscribed computeds run once after it (and after all nested changes)
+     * @param {function} fn
+     * @returns {any}
+     */
+    static batch(fn) {
+        KWM_Tracker.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            KWM_Tracker.batchDepth--;
+            if (KWM_Tracker.batchDepth === 0) {
+                KWM_Tracker.flush();
+            }
+        }
+    }
+
+    /**
+     * @param {KWM_Observable|KWM_Effect} reaction
+     */
+    static enqueue(reaction) {
+        KWM_Tracker.reactions.add(reaction);
+    }
+
+    /**
+     * Runs the waiting reactions - reactions caused by them are part of the flush. A failing reaction does not stop the others.
+     */
+    static flush() {
+        if (KWM_Tracker.isFlushing) {
+            return;
+        }
+        KWM_Tracker.isFlushing = true;
+
+        try {
+            KWM_Tracker.untracked(() => {
+                let count = 0;
+                while (KWM_Tracker.reactions.size > 0) {
+                    const reaction = KWM_Tracker.reactions.values().next().value;
+                    KWM_Tracker.reactions.delete(reaction);
+                    if (++count > KWM_Tracker.maxReactionsPerFlush) {
+                        console.error(`KWM_Tracker Error: more than ${KWM_Tracker.maxReactionsPerFlush} reactions in one flush - does an effect change a value it reads?`, reaction);
+                        KWM_Tracker.reactions.clear();
+                        break;
+                    }
+                    try {
+                        reaction.runReaction();
+                    } catch (error) {
+                        console.error(`KWM_Tracker Error: ${reaction.constructor.name} failed`, error, reaction);
+                    }
+                }
+            });
+        } finally {
+            KWM_Tracker.isFlushing = false;
+        }
+    }
+}
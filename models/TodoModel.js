@@ -1,33 +1,66 @@
+import KWM_Store from "../core/kwm-store.js";
 
-
-import KWM_Observable from "../core/kwm-observable.js";
-
+/**
+ * Todos of the app - kept in a KWM_Store -> every change is a named action that can be undone.
+ * The todos are a reactive array: todos are added, removed and changed in place, only the affected bindings / computeds update.
+ **/
 export default class TodoModel {
     constructor() {
-        this.todos = new KWM_Observable([]);
+        this.store = new KWM_Store({
+            state: { todos: [] },
+            actions: {
+                addTodo: (state, todoText) => {
+                    state.todos.push({
+                        id: Date.now(),
+                        text: todoText,
+                        completed: false
+                    });
+                },
+                removeTodo: (state, todoId) => {
+                    const index = state.todos.findIndex(todo => todo.id === todoId);
+                    if (index !== -1) {
+                        state.todos.splice(index, 1);
+                    }
+                },
+                toggleTodo: (state, todoId) => {
+                    const todo = state.todos.find(todo => todo.id === todoId);
+                    if (todo) {
+                        todo.completed = !todo.completed;
+                    }
+                },
+            },
+            selectors: {
+                openTodos: state => state.todos.filter(todo => !todo.completed),
+            },
+        });
     }
 
-    addTodo(todoText) {
-        const newTodo = {
-            id: Date.now(),
-            text: todoText,
-            completed: false
-        };
+    get todos() {
+        return this.store.state.todos;
+    }
 
-        this.todos.value = [...this.todos.value, newTodo];
+    addTodo(todoText) {
+        this.store.actions.addTodo(todoText);
     }
 
     removeTodo(todoId) {
-        this.todos.value = this.todos.value.filter(todo => todo.id !== todoId);
+        this.store.actions.removeTodo(todoId);
+    }
+
+    getTodo(todoId) {
+        return this.todos.find(todo => todo.id === todoId);
     }
 
     toggleTodo(todoId) {
-        this.todos.value = this.todos.value.map(todo => {
-            if (todo.id === todoId) {
-                return { ...todo, completed: !todo.completed };
-            }
-            return todo;
-        });
+        this.store.actions.toggleTodo(todoId);
+    }
+
+    undo() {
+        return this.store.undo();
+    }
+
+    redo() {
+        return this.store.redo();
     }
 }
 